@@ -0,0 +1,25 @@
+// Scattr - Layout Worker
+// Runs the layout engine off the main thread, so big layouts never freeze the page.
+// The app cancels a job by terminating the worker, since a busy worker can't read messages.
+
+importScripts('layout.js');
+
+self.addEventListener('message', (event) => {
+    const { id, options } = event.data;
+    
+    // Progress arrives once per placed item, only pass it on a few times a second
+    let lastReport = 0;
+    const onProgress = (progress) => {
+        const now = Date.now();
+        if (now - lastReport < 50) return;
+        lastReport = now;
+        self.postMessage({ id, type: 'progress', progress });
+    };
+    
+    try {
+        const samples = ScattrLayout.generateLayout(options, onProgress);
+        self.postMessage({ id, type: 'done', samples });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+});
@@ -0,0 +1,887 @@
+// Scattr - Layout Engine
+// Asset-aware take on Bridson's Fast Poisson Disk Sampling, with no DOM access so the app and Node can share it.
+// Options are plain data (no canvases or functions), so they can be cloned and sent anywhere.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ScattrLayout = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Everything generateLayout() understands. Angles are in radians, sizes in pixels.
+    //   assets:    [{ image, width, height, hull, settings }] - image is passed through untouched,
+    //              hull is the opaque outline normalized to -0.5..0.5 (defaults to the bounding box)
+    //   mask:      { width, height, allowed } - allowed is 1 where items may go, row by row
+    //   density:   { falloff, strength (0-1), invert, map: { width, height, values (0-1) } }
+    //   fixed:     [{ x, y, asset, rotation, scale, tone, opacity }] - items kept from an earlier layout,
+    //              asset is an index into assets; new items are placed around them
+    //   keepArea:  { width, height } - new items stay out of this top-left area (the canvas before a resize)
+    const DEFAULT_OPTIONS = {
+        width: 1920,
+        height: 1080,
+        assets: [],
+        assetSize: 100,
+        spacing: 30,
+        numItems: 50,
+        seed: 0,
+        attempts: 30,
+        uniqueOnly: false,
+        shapeAware: false,
+        tileable: false,
+        randomRotation: false,
+        rotationRange: { min: -Math.PI / 3, max: Math.PI / 3 },
+        randomScale: false,
+        scaleRange: { min: 0.7, max: 1.3 },
+        randomOpacity: false,
+        opacityRange: { min: 0.5, max: 1 },
+        mask: null,
+        density: null,
+        fixed: [],
+        keepArea: null
+    };
+
+    const DEFAULT_ASSET_SETTINGS = {
+        weight: 1,
+        minCount: 1,
+        maxCount: null,
+        sizeMultiplier: 1,
+        rotation: 'global',
+        scale: 'global',
+        // Only used when drawing, placement ignores them
+        effects: 'global',
+        customEffects: null, // The asset's own effects when effects is 'custom'
+        recolor: 'global',
+        opacity: 1,
+        blend: 'global'
+    };
+
+    const BOUNDING_BOX_HULL = [
+        { x: -0.5, y: -0.5 }, { x: 0.5, y: -0.5 },
+        { x: 0.5, y: 0.5 }, { x: -0.5, y: 0.5 }
+    ];
+
+    // Place items and return them as { x, y, asset, rotation, scale, radius, polygon?, gap }.
+    // onProgress, when given, is called with the fraction done (0-1) as items are placed.
+    function generateLayout(options, onProgress = null) {
+        const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+        const assetPool = prepareAssetPool(settings.assets, settings.assetSize);
+        if (assetPool.length === 0) return [];
+        
+        const context = {
+            settings: settings,
+            width: settings.width,
+            height: settings.height,
+            random: createRandom(settings.seed),
+            reportProgress: onProgress || (() => {}),
+            // Spacing can vary across the canvas with a density map
+            gapField: createGapField(settings),
+            maskGrid: createMaskGrid(settings.mask),
+            wrapSize: settings.tileable ? { width: settings.width, height: settings.height } : null
+        };
+        context.fixedSamples = createFixedSamples(context, assetPool);
+        
+        if (settings.uniqueOnly) {
+            // For unique assets, use aggressive multi-attempt strategy (skipping assets limited to zero)
+            const uniquePool = assetPool.filter(asset => asset.settings.maxCount !== 0);
+            if (uniquePool.length === 0) return [];
+            return generateUniqueAssetLayout(context, uniquePool);
+        } else {
+            // For normal mode, prioritize unique placement first
+            return generatePrioritizedLayout(context, assetPool);
+        }
+    }
+
+    // Pre-process assets to calculate their actual rendered sizes
+    function prepareAssetPool(assets, assetSize) {
+        return assets.map(asset => {
+            const settings = Object.assign({}, DEFAULT_ASSET_SETTINGS, asset.settings);
+            const ratio = Math.min(assetSize / asset.width, assetSize / asset.height) * settings.sizeMultiplier;
+            const baseWidth = asset.width * ratio;
+            const baseHeight = asset.height * ratio;
+            
+            // Outline of the opaque pixels at base size, centered on the asset
+            const shape = (asset.hull || BOUNDING_BOX_HULL).map(point => ({
+                x: point.x * baseWidth,
+                y: point.y * baseHeight
+            }));
+            
+            return {
+                image: asset.image,
+                settings: settings,
+                baseWidth: baseWidth,
+                baseHeight: baseHeight,
+                // Effective radius for collision detection
+                effectiveRadius: Math.max(baseWidth, baseHeight) / 2,
+                shape: shape,
+                shapeRadius: Math.max(...shape.map(point => Math.hypot(point.x, point.y))),
+                innerRadius: getInnerRadius(shape)
+            };
+        });
+    }
+
+    // Mulberry32 PRNG - small, fast and fully determined by its 32-bit seed
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Rotation and scale of the sample at a given index. Derived from the seed and the index
+    // alone, so the layout can use them for collisions and re-rolls never move positions.
+    // The tone is a spare 0-1 roll that drawing uses to pick palette colors.
+    function getSampleTransform(seed, index, transformSettings) {
+        const { randomRotation, randomScale, randomOpacity, rotationRange, scaleRange, opacityRange } = transformSettings;
+        const random = createRandom((seed ^ 0x9E3779B9) + Math.imul(index, 0x85EBCA6B));
+        const rotationRoll = random();
+        const scaleRoll = random();
+        const tone = random();
+        const opacityRoll = random();
+        
+        return {
+            rotation: randomRotation ? rotationRange.min + rotationRoll * (rotationRange.max - rotationRange.min) : 0,
+            scale: randomScale ? scaleRange.min + scaleRoll * (scaleRange.max - scaleRange.min) : 1,
+            tone: tone,
+            opacity: randomOpacity ? opacityRange.min + opacityRoll * (opacityRange.max - opacityRange.min) : 1
+        };
+    }
+
+    // Per-asset overrides, e.g. a logo that should never rotate
+    function applyAssetTransformOverrides(transform, asset) {
+        return {
+            rotation: asset.settings.rotation === 'none' ? 0 : transform.rotation,
+            scale: asset.settings.scale === 'none' ? 1 : transform.scale,
+            tone: transform.tone,
+            opacity: transform.opacity
+        };
+    }
+
+    // Andrew's monotone chain, drops collinear points
+    function convexHull(points) {
+        const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        
+        const lower = [];
+        for (const point of sorted) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+                lower.pop();
+            }
+            lower.push(point);
+        }
+        
+        const upper = [];
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            const point = sorted[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+                upper.pop();
+            }
+            upper.push(point);
+        }
+        
+        upper.pop();
+        lower.pop();
+        return lower.concat(upper);
+    }
+
+    // Distance from the asset center to the nearest hull edge
+    function getInnerRadius(shape) {
+        let innerRadius = Infinity;
+        for (let i = 0; i < shape.length; i++) {
+            const a = shape[i];
+            const b = shape[(i + 1) % shape.length];
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            if (length === 0) continue;
+            innerRadius = Math.min(innerRadius, Math.abs(a.x * b.y - a.y * b.x) / length);
+        }
+        return isFinite(innerRadius) ? innerRadius : 0;
+    }
+
+    // Build a placement candidate with its collision footprint. With a wrap size
+    // (tileable mode) positions wrap around the canvas edges.
+    function createCandidate(x, y, asset, transform, shapeAware, wrapSize = null) {
+        if (wrapSize) {
+            x = ((x % wrapSize.width) + wrapSize.width) % wrapSize.width;
+            y = ((y % wrapSize.height) + wrapSize.height) % wrapSize.height;
+        }
+        
+        const candidate = {
+            x: x,
+            y: y,
+            asset: asset,
+            rotation: transform.rotation,
+            scale: transform.scale,
+            tone: transform.tone,
+            opacity: transform.opacity,
+            radius: (shapeAware ? asset.shapeRadius : asset.effectiveRadius) * transform.scale
+        };
+        
+        if (shapeAware) {
+            const cos = Math.cos(transform.rotation);
+            const sin = Math.sin(transform.rotation);
+            candidate.polygon = asset.shape.map(point => ({
+                x: x + (point.x * cos - point.y * sin) * transform.scale,
+                y: y + (point.x * sin + point.y * cos) * transform.scale
+            }));
+        }
+        
+        return candidate;
+    }
+
+    // Largest footprint any item can have, kept items included, so grid cells cover every neighbour.
+    // Ranges may be entered backwards, and assets opted out of random scale stay at 1.
+    function getMaxRadius(context, assetPool) {
+        const { settings, fixedSamples } = context;
+        const maxScale = settings.randomScale ? Math.max(settings.scaleRange.min, settings.scaleRange.max) : 1;
+        const placedRadii = assetPool.map(asset => {
+            const radius = settings.shapeAware ? asset.shapeRadius : asset.effectiveRadius;
+            return radius * (asset.settings.scale === 'none' ? 1 : maxScale);
+        });
+        return Math.max(...placedRadii, ...fixedSamples.map(sample => sample.radius));
+    }
+
+    // Rebuild kept items as placed samples, footprints included. Items whose asset is gone are dropped.
+    function createFixedSamples(context, assetPool) {
+        const { settings, gapField, wrapSize } = context;
+        return settings.fixed
+            .filter(item => assetPool[item.asset])
+            .map(item => {
+                // Anything else the caller stored on the item stays with it
+                const sample = Object.assign({}, item, createCandidate(item.x, item.y, assetPool[item.asset], item, settings.shapeAware, wrapSize));
+                sample.gap = gapField.at(sample.x, sample.y);
+                return sample;
+            });
+    }
+
+    // Whether a new item's center is outside the kept area, so only added space gets filled
+    function outsideKeepArea(context, candidate) {
+        const keepArea = context.settings.keepArea;
+        return !keepArea || candidate.x >= keepArea.width || candidate.y >= keepArea.height;
+    }
+
+    // Spatial grid for fast neighbor lookups. Cells hold lists, since items of
+    // different sizes (or with tight outlines) can share a cell. A wrapping grid
+    // looks up neighbors across the edges, like a torus.
+    function createPlacementGrid(width, height, maxMinDistance, wrap = false) {
+        const cellSize = maxMinDistance / Math.sqrt(2);
+        const gridWidth = Math.ceil(width / cellSize);
+        const gridHeight = Math.ceil(height / cellSize);
+        const grid = Array(gridWidth * gridHeight).fill().map(() => []);
+        const searchRadius = Math.ceil(maxMinDistance / cellSize);
+        
+        const cellCoords = (point) => ({
+            x: Math.min(gridWidth - 1, Math.max(0, Math.floor(point.x / cellSize))),
+            y: Math.min(gridHeight - 1, Math.max(0, Math.floor(point.y / cellSize)))
+        });
+        
+        return {
+            add(point, index) {
+                const cell = cellCoords(point);
+                grid[cell.y * gridWidth + cell.x].push(index);
+            },
+            forEachNear(point, callback) {
+                const cell = cellCoords(point);
+                const visited = new Set();
+                for (let dx = -searchRadius; dx <= searchRadius; dx++) {
+                    for (let dy = -searchRadius; dy <= searchRadius; dy++) {
+                        let x = cell.x + dx;
+                        let y = cell.y + dy;
+                        if (wrap) {
+                            x = ((x % gridWidth) + gridWidth) % gridWidth;
+                            y = ((y % gridHeight) + gridHeight) % gridHeight;
+                        } else if (x < 0 || x >= gridWidth || y < 0 || y >= gridHeight) {
+                            continue;
+                        }
+                        
+                        // Small wrapped grids can reach the same cell from both sides
+                        const cellIndex = y * gridWidth + x;
+                        if (visited.has(cellIndex)) continue;
+                        visited.add(cellIndex);
+                        
+                        for (const index of grid[cellIndex]) {
+                            if (callback(index) === false) return;
+                        }
+                    }
+                }
+            }
+        };
+    }
+
+    // True when two placed items are closer than the desired gap
+    function collides(candidate, existing, desiredGap, wrapSize = null) {
+        // On a torus, compare against the nearest copy of the existing item
+        let offsetX = 0;
+        let offsetY = 0;
+        if (wrapSize) {
+            offsetX = Math.round((candidate.x - existing.x) / wrapSize.width) * wrapSize.width;
+            offsetY = Math.round((candidate.y - existing.y) / wrapSize.height) * wrapSize.height;
+        }
+        
+        const distance = Math.hypot(candidate.x - existing.x - offsetX, candidate.y - existing.y - offsetY);
+        if (distance >= candidate.radius + existing.radius + desiredGap) {
+            return false;
+        }
+        
+        // Bounding circles overlap, compare the actual outlines when we have them
+        if (candidate.polygon && existing.polygon) {
+            const polygon = offsetX || offsetY
+                ? existing.polygon.map(point => ({ x: point.x + offsetX, y: point.y + offsetY }))
+                : existing.polygon;
+            return !polygonsSeparated(candidate.polygon, polygon, desiredGap);
+        }
+        return true;
+    }
+
+    // Separating axis test for convex polygons: separated when the projections on
+    // any edge normal are at least gap apart
+    function polygonsSeparated(a, b, gap) {
+        for (const polygon of [a, b]) {
+            for (let i = 0; i < polygon.length; i++) {
+                const p1 = polygon[i];
+                const p2 = polygon[(i + 1) % polygon.length];
+                const length = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+                if (length === 0) continue;
+                const nx = (p2.y - p1.y) / length;
+                const ny = (p1.x - p2.x) / length;
+                
+                let minA = Infinity, maxA = -Infinity;
+                for (const point of a) {
+                    const projection = point.x * nx + point.y * ny;
+                    minA = Math.min(minA, projection);
+                    maxA = Math.max(maxA, projection);
+                }
+                let minB = Infinity, maxB = -Infinity;
+                for (const point of b) {
+                    const projection = point.x * nx + point.y * ny;
+                    minB = Math.min(minB, projection);
+                    maxB = Math.max(maxB, projection);
+                }
+                
+                if (minB - maxA >= gap || minA - maxB >= gap) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    // Local gap between items. A density map or falloff widens the gap in its darker
+    // areas, so those get fewer, sparser items.
+    function createGapField(settings) {
+        const desiredGap = settings.spacing;
+        const density = settings.density;
+        const densityAt = density ? getDensityFunction(density.falloff, density.map) : null;
+        
+        if (!densityAt || !density.strength) {
+            return { at: () => desiredGap, max: desiredGap };
+        }
+        
+        // At full strength the sparsest areas get three times the gap plus two item sizes
+        const { width, height, assetSize } = settings;
+        const strength = density.strength;
+        const gapFor = (sparseness) => desiredGap * (1 + sparseness) + sparseness * assetSize;
+        
+        return {
+            at: (x, y) => {
+                let value = densityAt(x / width, y / height);
+                if (density.invert) value = 1 - value;
+                // Eased so the dense end of a falloff keeps close to the base spacing
+                return gapFor(Math.pow(1 - value, 2) * strength * 2);
+            },
+            max: gapFor(strength * 2)
+        };
+    }
+
+    // Density (0 sparse to 1 dense) at a point given as fractions of the canvas size
+    function getDensityFunction(falloff, mapData = null) {
+        const distanceFromCenter = (u, v) => Math.min(1, Math.hypot(u - 0.5, v - 0.5) / Math.SQRT1_2);
+        
+        switch (falloff) {
+            case 'center':
+                return (u, v) => 1 - distanceFromCenter(u, v);
+            case 'top':
+                return (u, v) => 1 - Math.min(1, Math.max(0, v));
+            case 'vignette':
+                return (u, v) => distanceFromCenter(u, v);
+            case 'image':
+                if (!mapData) return null;
+                return (u, v) => {
+                    const x = Math.min(mapData.width - 1, Math.max(0, Math.floor(u * mapData.width)));
+                    const y = Math.min(mapData.height - 1, Math.max(0, Math.floor(v * mapData.height)));
+                    return mapData.values[y * mapData.width + x];
+                };
+            default:
+                return null;
+        }
+    }
+
+    // Whether a canvas point is allowed by the mask. Points off the canvas are only
+    // masked in tileable mode, where they wrap around.
+    function isMaskAllowed(context, x, y) {
+        const maskData = context.settings.mask;
+        if (!maskData) return true;
+        
+        const { width, height, wrapSize } = context;
+        if (wrapSize) {
+            x = ((x % width) + width) % width;
+            y = ((y % height) + height) % height;
+        } else if (x < 0 || x >= width || y < 0 || y >= height) {
+            return true;
+        }
+        
+        const maskX = Math.min(maskData.width - 1, Math.floor(x / width * maskData.width));
+        const maskY = Math.min(maskData.height - 1, Math.floor(y / height * maskData.height));
+        return maskData.allowed[maskY * maskData.width + maskX] === 1;
+    }
+
+    // Coarse copy of the mask for checking whole footprints. A cell is blocked when any mask
+    // pixel in it is, and the long side has at most 256 cells so big masks stay quick to scan.
+    function createMaskGrid(maskData) {
+        if (!maskData) return null;
+        
+        const cellSize = Math.max(1, Math.ceil(Math.max(maskData.width, maskData.height) / 256));
+        const columns = Math.ceil(maskData.width / cellSize);
+        const rows = Math.ceil(maskData.height / cellSize);
+        const blocked = new Uint8Array(columns * rows);
+        for (let y = 0; y < maskData.height; y++) {
+            const rowOffset = Math.floor(y / cellSize) * columns;
+            for (let x = 0; x < maskData.width; x++) {
+                if (maskData.allowed[y * maskData.width + x] !== 1) {
+                    blocked[rowOffset + Math.floor(x / cellSize)] = 1;
+                }
+            }
+        }
+        return { cellSize, columns, rows, blocked };
+    }
+
+    // Even-odd test of a point against a closed outline
+    function pointInPolygon(x, y, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // No blocked mask cell may sit under the outline, even one too small to touch its edge
+    function outlineClearOfMask(context, outline) {
+        const { width, height, wrapSize, maskGrid } = context;
+        const maskData = context.settings.mask;
+        const cellWidth = width / maskData.width * maskGrid.cellSize;
+        const cellHeight = height / maskData.height * maskGrid.cellSize;
+        
+        const xs = outline.map(point => point.x);
+        const ys = outline.map(point => point.y);
+        const firstColumn = Math.floor(Math.min(...xs) / cellWidth);
+        const lastColumn = Math.floor(Math.max(...xs) / cellWidth);
+        const firstRow = Math.floor(Math.min(...ys) / cellHeight);
+        const lastRow = Math.floor(Math.max(...ys) / cellHeight);
+        
+        for (let row = firstRow; row <= lastRow; row++) {
+            const y = (row + 0.5) * cellHeight;
+            for (let column = firstColumn; column <= lastColumn; column++) {
+                const x = (column + 0.5) * cellWidth;
+                
+                // Tileable layouts wrap around, elsewhere the area off the canvas is free
+                let maskX = x;
+                let maskY = y;
+                if (wrapSize) {
+                    maskX = ((x % width) + width) % width;
+                    maskY = ((y % height) + height) % height;
+                } else if (x < 0 || x >= width || y < 0 || y >= height) {
+                    continue;
+                }
+                
+                const cellX = Math.min(maskGrid.columns - 1, Math.floor(maskX / cellWidth));
+                const cellY = Math.min(maskGrid.rows - 1, Math.floor(maskY / cellHeight));
+                if (maskGrid.blocked[cellY * maskGrid.columns + cellX] && pointInPolygon(x, y, outline)) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    // Check the candidate's center, outline (or rotated bounding box) and the area it covers against the mask
+    function candidateInMask(context, candidate) {
+        if (!context.settings.mask) return true;
+        
+        let outline = candidate.polygon;
+        if (!outline) {
+            const halfWidth = candidate.asset.baseWidth * candidate.scale / 2;
+            const halfHeight = candidate.asset.baseHeight * candidate.scale / 2;
+            const cos = Math.cos(candidate.rotation);
+            const sin = Math.sin(candidate.rotation);
+            outline = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => ({
+                x: candidate.x + sx * halfWidth * cos - sy * halfHeight * sin,
+                y: candidate.y + sx * halfWidth * sin + sy * halfHeight * cos
+            }));
+        }
+        
+        const points = [{ x: candidate.x, y: candidate.y }];
+        outline.forEach((point, index) => {
+            const next = outline[(index + 1) % outline.length];
+            points.push(point, { x: (point.x + next.x) / 2, y: (point.y + next.y) / 2 });
+        });
+        return points.every(point => isMaskAllowed(context, point.x, point.y)) && outlineClearOfMask(context, outline);
+    }
+
+    // Aggressive algorithm for unique assets - tries much harder to place all assets
+    function generateUniqueAssetLayout(context, assetPool) {
+        const maxAttempts = 5; // Try multiple different starting configurations
+        let bestResult = [];
+        
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            // Each attempt covers its share of the overall progress
+            const attemptContext = {
+                ...context,
+                reportProgress: (fraction) => context.reportProgress((attempt + fraction) / maxAttempts)
+            };
+            const result = attemptUniqueLayout(attemptContext, assetPool, attempt);
+            
+            // If we placed all assets, return immediately
+            if (result.length === assetPool.length) {
+                return result;
+            }
+            
+            // Keep the best result so far
+            if (result.length > bestResult.length) {
+                bestResult = result;
+            }
+        }
+        
+        return bestResult;
+    }
+
+    // Single attempt at unique layout with different strategies per attempt
+    function attemptUniqueLayout(context, assetPool, attemptNumber) {
+        const { settings, width, height, random, gapField, wrapSize, reportProgress } = context;
+        const shapeAware = settings.shapeAware;
+        
+        // Calculate maximum possible radius for grid sizing
+        const maxRadius = getMaxRadius(context, assetPool);
+        const maxMinDistance = maxRadius * 2 + gapField.max;
+        const grid = createPlacementGrid(width, height, maxMinDistance, !!wrapSize);
+        
+        const samples = [];
+        const activeList = [];
+        context.fixedSamples.forEach(sample => {
+            samples.push(sample);
+            activeList.push(samples.length - 1);
+            grid.add(sample, samples.length - 1);
+        });
+        const remainingAssets = assetPool.filter(asset => !samples.some(sample => sample.asset === asset)); // Assets left to place
+        
+        const isInside = (candidate) => {
+            // Tileable layouts wrap around, so every position is inside
+            if (wrapSize) {
+                return true;
+            }
+            if (candidate.polygon) {
+                return candidate.polygon.every(point => point.x >= 0 && point.x <= width && point.y >= 0 && point.y <= height);
+            }
+            return candidate.x >= candidate.radius && candidate.x < width - candidate.radius &&
+                candidate.y >= candidate.radius && candidate.y < height - candidate.radius;
+        };
+        
+        const isValid = (candidate) => {
+            if (!isInside(candidate) || !outsideKeepArea(context, candidate) || !candidateInMask(context, candidate)) {
+                return false;
+            }
+            
+            // Two items keep the average of their local gaps between them
+            candidate.gap = gapField.at(candidate.x, candidate.y);
+            let valid = true;
+            grid.forEachNear(candidate, (index) => {
+                if (collides(candidate, samples[index], (candidate.gap + samples[index].gap) / 2, wrapSize)) {
+                    valid = false;
+                    return false;
+                }
+            });
+            return valid;
+        };
+        
+        const addSample = (sample) => {
+            samples.push(sample);
+            activeList.push(samples.length - 1);
+            grid.add(sample, samples.length - 1);
+            remainingAssets.shift(); // Remove the placed asset
+            reportProgress(samples.length / assetPool.length);
+        };
+        
+        // Different starting strategies for different attempts
+        let startX, startY;
+        switch (attemptNumber) {
+            case 0: // Center start
+                startX = width / 2;
+                startY = height / 2;
+                break;
+            case 1: // Random start
+                startX = random() * width;
+                startY = random() * height;
+                break;
+            case 2: // Corner start
+                startX = width * 0.25;
+                startY = height * 0.25;
+                break;
+            case 3: // Edge start
+                startX = width * 0.1;
+                startY = height / 2;
+                break;
+            default: // Spiral start
+                const angle = attemptNumber * Math.PI / 3;
+                startX = width / 2 + Math.cos(angle) * width * 0.3;
+                startY = height / 2 + Math.sin(angle) * height * 0.3;
+        }
+        
+        // Place first asset, unless kept items already give the layout somewhere to grow from
+        if (remainingAssets.length > 0 && samples.length === 0) {
+            const transform = applyAssetTransformOverrides(getSampleTransform(settings.seed, 0, settings), remainingAssets[0]);
+            const initialPoint = createCandidate(startX, startY, remainingAssets[0], transform, shapeAware, wrapSize);
+            
+            if (isValid(initialPoint)) {
+                addSample(initialPoint);
+            } else if (settings.mask || settings.keepArea) {
+                // The starting spot may be masked out or kept, look for an allowed one
+                for (let seedAttempt = 0; seedAttempt < 50; seedAttempt++) {
+                    const seedCandidate = createCandidate(random() * width, random() * height, remainingAssets[0], transform, shapeAware, wrapSize);
+                    if (isValid(seedCandidate)) {
+                        addSample(seedCandidate);
+                        break;
+                    }
+                }
+            }
+        }
+        
+        // Main generation loop - be very persistent for unique assets
+        while (activeList.length > 0 && remainingAssets.length > 0) {
+            const randomIndex = Math.floor(random() * activeList.length);
+            const pointIndex = activeList[randomIndex];
+            const parentSample = samples[pointIndex];
+            
+            let success = false;
+            const attemptsPerPoint = Math.min(200, remainingAssets.length * 50); // Much higher attempts
+            
+            // Try to place next unique asset
+            const candidateAsset = remainingAssets[0]; // Always try the next unique asset
+            const transform = applyAssetTransformOverrides(getSampleTransform(settings.seed, samples.length, settings), candidateAsset);
+            const candidateRadius = (shapeAware ? candidateAsset.shapeRadius : candidateAsset.effectiveRadius) * transform.scale;
+            
+            // Outlines can sit closer than their bounding circles, so start closer in shape-aware mode
+            const outerDistance = parentSample.radius + candidateRadius + parentSample.gap;
+            const minDistance = shapeAware
+                ? (parentSample.asset.innerRadius * parentSample.scale) + (candidateAsset.innerRadius * transform.scale) + parentSample.gap
+                : outerDistance;
+            
+            for (let i = 0; i < attemptsPerPoint; i++) {
+                const angle = random() * 2 * Math.PI;
+                
+                // Vary the distance more for better coverage
+                const distanceVariation = random() * (outerDistance - minDistance + outerDistance * (1 + attemptNumber * 0.2));
+                const distance = minDistance + distanceVariation;
+                
+                const candidate = createCandidate(
+                    parentSample.x + Math.cos(angle) * distance,
+                    parentSample.y + Math.sin(angle) * distance,
+                    candidateAsset, transform, shapeAware, wrapSize
+                );
+                
+                if (isValid(candidate)) {
+                    addSample(candidate);
+                    success = true;
+                    break;
+                }
+            }
+            
+            if (!success) {
+                activeList.splice(randomIndex, 1);
+                
+                // If we're running out of active points but still have assets, add some new seed points
+                if (activeList.length < 3 && remainingAssets.length > 0) {
+                    for (let seedAttempt = 0; seedAttempt < 20; seedAttempt++) {
+                        const seedX = random() * width;
+                        const seedY = random() * height;
+                        const seedCandidate = createCandidate(seedX, seedY, remainingAssets[0], transform, shapeAware, wrapSize);
+                        
+                        if (isValid(seedCandidate)) {
+                            addSample(seedCandidate);
+                            break;
+                        }
+                    }
+                }
+            }
+        }
+        
+        return samples;
+    }
+
+    // Normal mode: prioritize placing each unique asset first, then duplicate
+    function generatePrioritizedLayout(context, assetPool) {
+        const { settings, width, height, random, gapField, wrapSize, reportProgress } = context;
+        const shapeAware = settings.shapeAware;
+        const numSamples = settings.numItems;
+        
+        // Calculate maximum possible radius for grid sizing
+        const maxRadius = getMaxRadius(context, assetPool);
+        const maxMinDistance = maxRadius * 2 + gapField.max;
+        const grid = createPlacementGrid(width, height, maxMinDistance, !!wrapSize);
+        
+        const samples = [];
+        const activeList = [];
+        const placedCounts = new Map(); // Placements per asset, for min/max counts
+        
+        const isValid = (candidate) => {
+            if (candidate.x < 0 || candidate.x >= width || candidate.y < 0 || candidate.y >= height) {
+                return false;
+            }
+            if (!outsideKeepArea(context, candidate) || !candidateInMask(context, candidate)) {
+                return false;
+            }
+            
+            // Two items keep the average of their local gaps between them
+            candidate.gap = gapField.at(candidate.x, candidate.y);
+            let valid = true;
+            grid.forEachNear(candidate, (index) => {
+                if (collides(candidate, samples[index], (candidate.gap + samples[index].gap) / 2, wrapSize)) {
+                    valid = false;
+                    return false;
+                }
+            });
+            return valid;
+        };
+        
+        const countOf = (asset) => placedCounts.get(asset) || 0;
+        const atMaximum = (asset) => asset.settings.maxCount !== null && countOf(asset) >= asset.settings.maxCount;
+        
+        // Smart asset selection: prioritize assets below their minimum count (by default
+        // every asset once), then duplicate by weight among assets under their maximum
+        const selectAsset = () => {
+            const belowMinimum = assetPool.filter(asset => countOf(asset) < asset.settings.minCount && !atMaximum(asset));
+            if (belowMinimum.length > 0) {
+                return belowMinimum[Math.floor(random() * belowMinimum.length)];
+            }
+            
+            const available = assetPool.filter(asset => asset.settings.weight > 0 && !atMaximum(asset));
+            if (available.length === 0) return null;
+            
+            const totalWeight = available.reduce((sum, asset) => sum + asset.settings.weight, 0);
+            let roll = random() * totalWeight;
+            for (const asset of available) {
+                roll -= asset.settings.weight;
+                if (roll < 0) return asset;
+            }
+            return available[available.length - 1];
+        };
+        
+        const addSample = (sample) => {
+            samples.push(sample);
+            activeList.push(samples.length - 1);
+            grid.add(sample, samples.length - 1);
+            placedCounts.set(sample.asset, countOf(sample.asset) + 1);
+            reportProgress(samples.length / numSamples);
+        };
+        
+        // Random starting point. A mask can block it, and separate allowed areas
+        // each need a starting point of their own, so retry a few spots.
+        const placeSeedPoint = (asset, attempts) => {
+            if (!asset) return false;
+            const transform = applyAssetTransformOverrides(getSampleTransform(settings.seed, samples.length, settings), asset);
+            for (let attempt = 0; attempt < attempts; attempt++) {
+                const candidate = createCandidate(
+                    random() * width,
+                    random() * height,
+                    asset, transform, shapeAware, wrapSize
+                );
+                if (isValid(candidate)) {
+                    addSample(candidate);
+                    return true;
+                }
+            }
+            return false;
+        };
+        
+        // Kept items come first and grow into the added space
+        context.fixedSamples.forEach(addSample);
+        
+        // Add initial sample
+        if (samples.length === 0) {
+            const initialAsset = selectAsset();
+            if (!initialAsset) return [];
+            
+            if (!placeSeedPoint(initialAsset, settings.mask || settings.keepArea ? 100 : 1)) return [];
+        }
+        
+        // Main generation loop
+        while (activeList.length > 0 && samples.length < numSamples) {
+            const randomIndex = Math.floor(random() * activeList.length);
+            const pointIndex = activeList[randomIndex];
+            const parentSample = samples[pointIndex];
+            const transform = getSampleTransform(settings.seed, samples.length, settings);
+            
+            let success = false;
+            
+            // Generate k candidates around the point
+            for (let i = 0; i < settings.attempts; i++) {
+                const candidateAsset = selectAsset();
+                if (!candidateAsset) break;
+                const candidateTransform = applyAssetTransformOverrides(transform, candidateAsset);
+                
+                const angle = random() * 2 * Math.PI;
+                const candidateRadius = (shapeAware ? candidateAsset.shapeRadius : candidateAsset.effectiveRadius) * candidateTransform.scale;
+                const outerDistance = parentSample.radius + candidateRadius + parentSample.gap;
+                
+                // Outlines can sit closer than their bounding circles, so start closer in shape-aware mode
+                const minDistance = shapeAware
+                    ? (parentSample.asset.innerRadius * parentSample.scale) + (candidateAsset.innerRadius * candidateTransform.scale) + parentSample.gap
+                    : outerDistance;
+                const distance = minDistance + random() * (outerDistance * 1.5 - minDistance);
+                
+                const candidate = createCandidate(
+                    parentSample.x + Math.cos(angle) * distance,
+                    parentSample.y + Math.sin(angle) * distance,
+                    candidateAsset, candidateTransform, shapeAware, wrapSize
+                );
+                
+                if (isValid(candidate)) {
+                    addSample(candidate);
+                    success = true;
+                    break;
+                }
+            }
+            
+            if (!success) {
+                activeList.splice(randomIndex, 1);
+                
+                if (activeList.length === 0 && (settings.mask || settings.keepArea) && samples.length < numSamples) {
+                    placeSeedPoint(selectAsset(), 30);
+                }
+            }
+        }
+        
+        return samples;
+    }
+
+    return {
+        DEFAULT_OPTIONS,
+        DEFAULT_ASSET_SETTINGS,
+        generateLayout,
+        prepareAssetPool,
+        createRandom,
+        getSampleTransform,
+        applyAssetTransformOverrides,
+        createCandidate,
+        convexHull,
+        collides,
+        polygonsSeparated
+    };
+});
@@ -1,16 +1,30 @@
 // Scattr - Smart Asset Layout Generator
-// Implementation of Bridson's Fast Poisson Disk Sampling Algorithm
+// Interface, rendering and export - layouts come from the engine in layout.js
 
 class ScattrApp {
     constructor() {
         this.assets = [];
+        this.assetSettings = new Map(); // Per-asset overrides, keyed by image
+        this.svgSources = new WeakMap(); // Vector source of SVG images, for re-rasterizing on export
+        this.svgRasters = new WeakMap(); // Export-size renderings of SVG images, only while an export runs
+        this.assetCleanups = new WeakMap(); // Original upload and clean-up options, keyed by cleaned image
         this.background = null;
         this.canvas = document.getElementById('main-canvas');
         this.ctx = this.canvas.getContext('2d');
         this.samples = [];
+        this.layoutGeneration = 0; // Bumped on every new layout or edit, so async work can tell if it's stale
         this.isGenerated = false;
         this.zoomLevel = 100;
         
+        // Seeded randomness so a layout can be recreated from its seed
+        this.seed = this.createSeed();
+        this.seedLocked = false;
+        
+        // Canvas size presets and aspect lock
+        this.customCanvasPresets = this.loadCustomCanvasPresets();
+        this.canvasAspectLocked = false;
+        this.canvasAspectRatio = 800 / 600;
+        
         this.initializeEventListeners();
         this.updateCanvasSize();
         
@@ -25,6 +39,9 @@ class ScattrApp {
         // Enable export buttons by default (can export background even without assets)
         document.getElementById('export-btn').disabled = false;
         document.getElementById('export-settings-btn').disabled = false;
+        
+        // First history entry is the untouched canvas
+        this.recordHistory('New canvas');
     }
 
     initializeEventListeners() {
@@ -39,19 +56,19 @@ class ScattrApp {
         document.getElementById('min-distance').addEventListener('input', (e) => {
             this.updateSpacingDisplay(parseInt(e.target.value));
             if (this.assets.length > 0) {
-                setTimeout(() => this.generateLayout(), 50);
+                this.scheduleLayout('Change spacing', { coalesce: true });
             }
         });
         document.getElementById('fill-density').addEventListener('input', (e) => {
             this.updateFillDensityDisplay(parseInt(e.target.value));
             if (this.assets.length > 0) {
-                setTimeout(() => this.generateLayout(), 50);
+                this.scheduleLayout('Change density', { coalesce: true });
             }
         });
         document.getElementById('asset-size').addEventListener('input', (e) => {
             this.updateAssetSizeDisplay(parseInt(e.target.value));
             if (this.assets.length > 0) {
-                setTimeout(() => this.generateLayout(), 50);
+                this.scheduleLayout('Change asset size', { coalesce: true });
             }
         });
 
@@ -63,9 +80,9 @@ class ScattrApp {
             } else {
                 controls.classList.add('hidden');
             }
-            // Re-render existing layout with/without rotation applied
+            // Re-roll only the rotations, so positions and hand edits stay put
             if (this.assets.length > 0 && this.isGenerated) {
-                setTimeout(() => this.renderCanvas(), 50);
+                setTimeout(() => this.rerollSampleTransforms(['rotation'], 'Toggle rotation'), 50);
             }
         });
 
@@ -77,26 +94,66 @@ class ScattrApp {
             } else {
                 controls.classList.add('hidden');
             }
-            // Re-render existing layout with/without scale applied
+            // Re-roll only the scales, so positions and hand edits stay put
             if (this.assets.length > 0 && this.isGenerated) {
-                setTimeout(() => this.renderCanvas(), 50);
+                setTimeout(() => this.rerollSampleTransforms(['scale'], 'Toggle scale'), 50);
+            }
+        });
+
+        // Toggle opacity controls
+        document.getElementById('random-opacity').addEventListener('change', (e) => {
+            document.getElementById('opacity-controls').classList.toggle('hidden', !e.target.checked);
+            // Opacity doesn't change footprints, so only the placed items' opacity is re-rolled
+            if (this.assets.length > 0 && this.isGenerated) {
+                setTimeout(() => this.rerollSampleTransforms(['opacity'], 'Toggle opacity'), 50);
+            }
+        });
+
+        // Shape-aware spacing toggle
+        document.getElementById('shape-aware').addEventListener('change', () => {
+            if (this.assets.length > 0) {
+                this.scheduleLayout('Toggle shape-aware spacing');
+            }
+        });
+
+        // Tileable pattern toggle
+        document.getElementById('tileable').addEventListener('change', () => {
+            this.updateTileableUI();
+            if (this.assets.length > 0) {
+                this.scheduleLayout('Toggle tileable');
+            } else {
+                this.renderCanvas();
             }
         });
+        document.getElementById('tile-preview-btn').addEventListener('click', () => {
+            this.tilePreview = !this.tilePreview;
+            this.updateTileableUI();
+            this.renderCanvas();
+        });
 
         // Update UI when unique assets toggle changes
         document.getElementById('unique-assets').addEventListener('change', (e) => {
             this.updateUniqueAssetsUI(e.target.checked);
             if (this.assets.length > 0) {
-                setTimeout(() => this.generateLayout(), 50);
+                this.scheduleLayout('Toggle unique assets');
             }
         });
 
         // Rotation/scale range inputs
         ['rotation-min', 'rotation-max', 'scale-min', 'scale-max'].forEach(id => {
             document.getElementById(id).addEventListener('input', () => {
-                // Re-render existing layout with new rotation/scale values
+                // Same seed, so only the transform of that range changes
+                if (this.assets.length > 0 && this.isGenerated) {
+                    const key = id.startsWith('rotation') ? 'rotation' : 'scale';
+                    setTimeout(() => this.rerollSampleTransforms([key], 'Change rotation/scale range', { coalesce: true }), 50);
+                }
+            });
+        });
+
+        ['opacity-min', 'opacity-max'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
                 if (this.assets.length > 0 && this.isGenerated) {
-                    setTimeout(() => this.renderCanvas(), 50);
+                    setTimeout(() => this.rerollSampleTransforms(['opacity'], 'Change opacity range', { coalesce: true }), 50);
                 }
             });
         });
@@ -105,20 +162,40 @@ class ScattrApp {
         document.addEventListener('keydown', (e) => {
             if (e.code === 'Space' && !e.target.matches('input, textarea, select')) {
                 e.preventDefault();
-                this.generateLayout();
+                this.generateLayout({ newSeed: true });
             }
         });
 
         // Canvas size handlers
-        document.getElementById('canvas-width').addEventListener('input', (e) => this.updateCanvasSize());
-        document.getElementById('canvas-height').addEventListener('input', (e) => this.updateCanvasSize());
+        this.setupCanvasSizeControls();
 
         // Action buttons
-        document.getElementById('generate-btn').addEventListener('click', () => this.generateLayout());
+        document.getElementById('generate-btn').addEventListener('click', () => this.generateLayout({ newSeed: true }));
+        // Re-rolled transforms can leave items overlapping, lay them out again with the same seed
+        document.getElementById('respace-btn').addEventListener('click', () => this.generateLayout({ historyLabel: 'Re-space layout' }));
+        document.getElementById('layout-cancel-btn').addEventListener('click', () => this.cancelLayout());
+
+        // Seed controls
+        this.setupSeedControls();
+        this.setupDensityMapControls();
         
         // Export functionality
         this.setupExportDropdown();
         
+        // Project save/open
+        this.setupProjectControls();
+        
+        // Undo/redo history
+        this.setupHistoryControls();
+        
+        // Selecting and editing placed items
+        this.setupCanvasInteraction();
+        this.setupMaskControls();
+        this.setupEffectsControls();
+        this.setupRecolorControls();
+        this.setupAssetSettingsPanel();
+        this.setupTextAssetControls();
+        
         // Settings sections functionality (run last to ensure DOM is ready)
         this.setupCollapsibleSections();
 
@@ -167,16 +244,19 @@ class ScattrApp {
         ['bg-tab-image', 'bg-tab-color', 'bg-tab-none'].forEach(tabId => {
             document.getElementById(tabId).addEventListener('click', () => {
                 this.switchBackgroundTab(tabId.split('-')[2]);
+                this.recordHistory('Change background type');
             });
         });
 
         // Background color type handlers
         document.getElementById('color-type-solid').addEventListener('click', () => {
             this.setColorType('solid');
+            this.recordHistory('Change background type');
         });
 
         document.getElementById('color-type-gradient').addEventListener('click', () => {
             this.setColorType('gradient');
+            this.recordHistory('Change background type');
         });
 
         // Advanced color picker event listeners
@@ -242,17 +322,24 @@ class ScattrApp {
             this.background = img;
             
             // Update canvas size to match background image dimensions
-            this.updateCanvasSizeToBackground(img);
+            this.updateCanvasSizeToBackground(img, 'Upload background');
             
             this.showBackgroundPreview(img);
             this.renderCanvas();
+            this.recordHistory('Upload background');
         }
     }
 
     async loadAssets(files) {
         for (const file of files) {
             try {
-                const img = await this.loadImage(file);
+                const original = await this.loadImage(file);
+                const img = this.canCleanUpAsset(original)
+                    ? await this.cleanUpAsset(original, {
+                        trim: document.getElementById('import-trim').checked,
+                        removeBackground: document.getElementById('import-remove-background').checked
+                    })
+                    : original;
                 this.assets.push(img);
                 this.showAssetPreview(img);
             } catch (error) {
@@ -260,6 +347,10 @@ class ScattrApp {
             }
         }
         
+        this.layoutNewAssets('Add assets');
+    }
+
+    layoutNewAssets(historyLabel) {
         // Auto-calculate optimal settings and generate layout
         this.calculateOptimalSettings();
         
@@ -270,22 +361,339 @@ class ScattrApp {
         }
         
         // Auto-generate layout with new assets
-        this.generateLayout();
+        this.generateLayout({ historyLabel });
     }
 
     loadImage(file) {
+        if (file.type === 'image/svg+xml' || /\.svg$/i.test(file.name)) {
+            return file.text().then(source => this.loadSVGImage(source));
+        }
+        return this.loadImageFromURL(URL.createObjectURL(file));
+    }
+
+    // SVGs get an explicit size (from the viewBox when width/height are missing) and keep
+    // their vector source, so exports can render them at full resolution
+    async loadSVGImage(source) {
+        const doc = new DOMParser().parseFromString(source, 'image/svg+xml');
+        const root = doc.documentElement;
+        if (root.nodeName.toLowerCase() !== 'svg' || doc.querySelector('parsererror')) {
+            throw new Error('Not a valid SVG file');
+        }
+        
+        const { width, height } = this.getSVGIntrinsicSize(root);
+        // Without a viewBox the drawing wouldn't scale along with the size we give it
+        if (!root.hasAttribute('viewBox')) {
+            root.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        }
+        
+        const svg = { root, width, height };
+        const img = await this.loadImageFromURL(this.createSVGDataURL(svg, width, height));
+        this.svgSources.set(img, svg);
+        return img;
+    }
+
+    getSVGIntrinsicSize(root) {
+        const units = { px: 1, pt: 4 / 3, pc: 16, in: 96, cm: 96 / 2.54, mm: 96 / 25.4 };
+        const length = (name) => {
+            // Percentages and font-relative units need a container we don't have
+            const match = /^\s*([\d.]+)\s*(px|pt|pc|in|cm|mm)?\s*$/.exec(root.getAttribute(name) || '');
+            return match && parseFloat(match[1]) > 0 ? parseFloat(match[1]) * units[match[2] || 'px'] : null;
+        };
+        
+        let width = length('width');
+        let height = length('height');
+        const viewBox = (root.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(parseFloat);
+        if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+            const aspectRatio = viewBox[2] / viewBox[3];
+            if (!width && !height) {
+                width = viewBox[2];
+                height = viewBox[3];
+            } else if (!width) {
+                width = height * aspectRatio;
+            } else if (!height) {
+                height = width / aspectRatio;
+            }
+        }
+        
+        // Browsers fall back to 300x150 for replaced elements without a size
+        return { width: width || 300, height: height || 150 };
+    }
+
+    createSVGDataURL(svg, width, height) {
+        const root = svg.root.cloneNode(true);
+        root.setAttribute('width', width);
+        root.setAttribute('height', height);
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(new XMLSerializer().serializeToString(root))}`;
+    }
+
+    canCleanUpAsset(img) {
+        return img.type !== 'text' && !this.svgSources.has(img);
+    }
+
+    getAssetCleanup(img) {
+        return this.assetCleanups.get(img) || { original: img, trim: false, removeBackground: false };
+    }
+
+    // Crop an image to its visible pixels and/or clear a flat background color. Returns a
+    // new image (or the original when nothing changed) that remembers the original.
+    async cleanUpAsset(original, { trim, removeBackground }) {
+        const width = original.width;
+        const height = original.height;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(original, 0, 0, width, height);
+        
+        let imageData;
+        try {
+            imageData = ctx.getImageData(0, 0, width, height);
+        } catch (error) {
+            console.warn('Could not read asset pixels, keeping it as is:', error);
+            return original;
+        }
+        
+        const backgroundRemoved = removeBackground && this.removeFlatBackground(imageData);
+        const bounds = (trim && this.getOpaqueBounds(imageData)) || { x: 0, y: 0, width, height };
+        const cleanup = { original, trim, removeBackground: backgroundRemoved };
+        
+        let img = original;
+        if (backgroundRemoved || bounds.width !== width || bounds.height !== height) {
+            const cropped = document.createElement('canvas');
+            cropped.width = bounds.width;
+            cropped.height = bounds.height;
+            cropped.getContext('2d').putImageData(imageData, -bounds.x, -bounds.y);
+            img = await this.loadImageFromURL(cropped.toDataURL('image/png'));
+        }
+        
+        if (trim || backgroundRemoved) {
+            this.assetCleanups.set(img, cleanup);
+        } else {
+            this.assetCleanups.delete(img);
+        }
+        return img;
+    }
+
+    // Bounding box of the visible pixels, or null for a fully transparent image
+    getOpaqueBounds(imageData) {
+        const { width, height, data } = imageData;
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (data[(y * width + x) * 4 + 3] > 8) {
+                    minX = Math.min(minX, x);
+                    maxX = Math.max(maxX, x);
+                    minY = Math.min(minY, y);
+                    maxY = Math.max(maxY, y);
+                }
+            }
+        }
+        
+        if (maxX === -1) return null;
+        return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    }
+
+    // Clear the solid color surrounding the subject. Filling from the edges keeps matching
+    // colors inside the subject. Returns false when the corners don't share one opaque color.
+    removeFlatBackground(imageData) {
+        const { width, height, data } = imageData;
+        const tolerance = 48;
+        const corners = [0, width - 1, (height - 1) * width, height * width - 1];
+        const background = [data[0], data[1], data[2]];
+        const distance = (pixel) => Math.max(
+            Math.abs(data[pixel * 4] - background[0]),
+            Math.abs(data[pixel * 4 + 1] - background[1]),
+            Math.abs(data[pixel * 4 + 2] - background[2])
+        );
+        
+        if (corners.some(pixel => data[pixel * 4 + 3] < 250 || distance(pixel) > tolerance / 2)) {
+            return false;
+        }
+        
+        // Pixels are marked when queued, so each is queued at most once and the
+        // queue never outgrows the image
+        const visited = new Uint8Array(width * height);
+        const queue = new Int32Array(width * height);
+        let queueEnd = 0;
+        const enqueue = (pixel) => {
+            if (visited[pixel]) return;
+            visited[pixel] = 1;
+            queue[queueEnd++] = pixel;
+        };
+        for (let x = 0; x < width; x++) {
+            enqueue(x);
+            enqueue((height - 1) * width + x);
+        }
+        for (let y = 0; y < height; y++) {
+            enqueue(y * width);
+            enqueue(y * width + width - 1);
+        }
+        
+        for (let queueStart = 0; queueStart < queueEnd; queueStart++) {
+            const pixel = queue[queueStart];
+            const difference = distance(pixel);
+            if (difference > tolerance) continue;
+            
+            // Anti-aliased edge pixels fade out instead of leaving a hard halo
+            const alpha = Math.max(0, (difference - tolerance / 2) / (tolerance / 2));
+            data[pixel * 4 + 3] = Math.round(data[pixel * 4 + 3] * alpha);
+            
+            const x = pixel % width;
+            if (x > 0) enqueue(pixel - 1);
+            if (x < width - 1) enqueue(pixel + 1);
+            if (pixel >= width) enqueue(pixel - width);
+            if (pixel < (height - 1) * width) enqueue(pixel + width);
+        }
+        return true;
+    }
+
+    // Run an export with SVG images rendered at its scale. The renderings are dropped once
+    // no export needs them, so the preview goes back to drawing the originals.
+    async withSVGAssets(scale, render) {
+        this.svgRasterExports = (this.svgRasterExports || 0) + 1;
+        try {
+            await this.prepareSVGAssets(scale);
+            return await render();
+        } finally {
+            this.svgRasterExports--;
+            if (this.svgRasterExports === 0) {
+                this.svgRasters = new WeakMap();
+            }
+        }
+    }
+
+    // Render SVG images at least as large as they'll be drawn at this scale, so exports
+    // aren't upscaled from the SVG's intrinsic size
+    async prepareSVGAssets(scale) {
+        const needed = new Map();
+        this.samples.forEach(sample => {
+            const img = sample.asset.image;
+            if (!this.svgSources.has(img)) return;
+            const size = Math.max(sample.asset.baseWidth, sample.asset.baseHeight) * (sample.scale || 1) * scale;
+            needed.set(img, Math.max(needed.get(img) || 0, size));
+        });
+        
+        await Promise.all([...needed].map(async ([img, size]) => {
+            const svg = this.svgSources.get(img);
+            const current = this.svgRasters.get(img) || img;
+            if (Math.max(current.width, current.height) >= size) return;
+            
+            // Browsers refuse to draw canvases or images much beyond this
+            const ratio = Math.min(8192, Math.ceil(size)) / Math.max(svg.width, svg.height);
+            try {
+                this.svgRasters.set(img, await this.loadImageFromURL(this.createSVGDataURL(svg, svg.width * ratio, svg.height * ratio)));
+            } catch (error) {
+                console.warn('Could not render SVG asset at export size:', error);
+            }
+        }));
+    }
+
+    loadImageFromURL(url) {
         return new Promise((resolve, reject) => {
             const img = new Image();
             img.onload = () => resolve(img);
             img.onerror = reject;
-            img.src = URL.createObjectURL(file);
+            img.src = url;
+        });
+    }
+
+    setupTextAssetControls() {
+        const form = document.getElementById('text-asset-form');
+        const input = document.getElementById('text-asset-input');
+        
+        document.getElementById('text-asset-btn').addEventListener('click', () => {
+            form.classList.toggle('hidden');
+            if (!form.classList.contains('hidden')) {
+                input.focus();
+            }
+        });
+        document.getElementById('text-asset-add').addEventListener('click', () => this.addTextAsset());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.addTextAsset();
+            }
+        });
+    }
+
+    async addTextAsset() {
+        const input = document.getElementById('text-asset-input');
+        const text = input.value.trim();
+        if (!text) {
+            alert('Please enter some text or an emoji first!');
+            return;
+        }
+        
+        const asset = await this.createTextAsset({
+            text: text,
+            font: document.getElementById('text-asset-font').value,
+            weight: parseInt(document.getElementById('text-asset-weight').value),
+            color: document.getElementById('text-asset-color').value,
+            size: Math.min(1000, Math.max(8, parseInt(document.getElementById('text-asset-size').value) || 100))
         });
+        
+        this.assets.push(asset);
+        this.showAssetPreview(asset);
+        document.getElementById('asset-preview').classList.remove('hidden');
+        input.value = '';
+        
+        this.layoutNewAssets('Add text');
+    }
+
+    // Text and emoji assets are plain objects drawn with fillText, so they stay crisp at
+    // any export scale. Their width and height are the ink bounds at the chosen font size.
+    async createTextAsset({ text, font, weight, color, size }) {
+        const asset = { type: 'text', text, font, weight, color, size };
+        const fontString = this.getTextAssetFont(asset);
+        
+        // The bundled web fonts load on first use, measuring before that gets fallback metrics
+        try {
+            await document.fonts.load(fontString, text);
+        } catch (error) {
+            console.warn('Could not load font, using a fallback:', error);
+        }
+        
+        const ctx = document.createElement('canvas').getContext('2d');
+        ctx.font = fontString;
+        const metrics = ctx.measureText(text);
+        asset.left = metrics.actualBoundingBoxLeft;
+        asset.ascent = metrics.actualBoundingBoxAscent;
+        asset.width = Math.max(1, Math.ceil(metrics.actualBoundingBoxLeft + metrics.actualBoundingBoxRight));
+        asset.height = Math.max(1, Math.ceil(metrics.actualBoundingBoxAscent + metrics.actualBoundingBoxDescent));
+        return asset;
+    }
+
+    getTextAssetFont(asset) {
+        return `${asset.weight} ${asset.size}px "${asset.font}", system-ui, sans-serif`;
+    }
+
+    // Draw an image or text asset into a box
+    drawAssetImage(ctx, asset, x, y, width, height, recolor = null) {
+        if (asset.type !== 'text') {
+            const source = this.svgRasters.get(asset) || asset;
+            ctx.drawImage(recolor ? this.getRecoloredImage(source, recolor) : source, x, y, width, height);
+            return;
+        }
+        
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.scale(width / asset.width, height / asset.height);
+        ctx.font = this.getTextAssetFont(asset);
+        ctx.fillStyle = recolor ? this.getRecoloredTextColor(asset.color, recolor) : asset.color;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillText(asset.text, asset.left, asset.ascent);
+        ctx.restore();
     }
 
     showAssetPreview(img) {
         const preview = document.getElementById('asset-preview');
         const previewItem = document.createElement('div');
         previewItem.className = 'relative bg-neutral-800 rounded p-2';
+        if (img === this.editingAsset) {
+            previewItem.classList.add('ring-2', 'ring-blue-500');
+        }
         
         const canvas = document.createElement('canvas');
         canvas.width = 80;
@@ -300,7 +708,7 @@ class ScattrApp {
         const x = (80 - width) / 2;
         const y = (80 - height) / 2;
         
-        ctx.drawImage(img, x, y, width, height);
+        this.drawAssetImage(ctx, img, x, y, width, height);
         previewItem.appendChild(canvas);
         
         // Add delete button
@@ -310,9 +718,180 @@ class ScattrApp {
         deleteBtn.onclick = () => this.deleteAsset(previewItem, img);
         previewItem.appendChild(deleteBtn);
         
+        // Add settings button, highlighted when the asset has its own settings
+        const settingsBtn = document.createElement('button');
+        settingsBtn.className = `absolute top-1 left-1 ${this.hasCustomAssetSettings(img) ? 'bg-blue-600 hover:bg-blue-700' : 'bg-neutral-700 hover:bg-neutral-600'} text-white rounded-full w-5 h-5 flex items-center justify-center text-xs transition-colors`;
+        settingsBtn.innerHTML = '⚙';
+        settingsBtn.title = 'Asset settings';
+        settingsBtn.onclick = () => this.editAssetSettings(img);
+        previewItem.appendChild(settingsBtn);
+        
         preview.appendChild(previewItem);
     }
 
+    getDefaultAssetSettings() {
+        return { ...ScattrLayout.DEFAULT_ASSET_SETTINGS };
+    }
+
+    // Settings objects are replaced on every edit, never changed in place
+    getAssetSettings(img) {
+        return this.assetSettings.get(img) || this.getDefaultAssetSettings();
+    }
+
+    hasCustomAssetSettings(img) {
+        const settings = this.getAssetSettings(img);
+        const defaults = this.getDefaultAssetSettings();
+        return Object.keys(defaults).some(key => settings[key] !== defaults[key]);
+    }
+
+    setupAssetSettingsPanel() {
+        this.editingAsset = null;
+        
+        ['asset-weight', 'asset-size-multiplier', 'asset-min-count', 'asset-max-count', 'asset-opacity'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateEditingAssetSettings({ coalesce: true }));
+        });
+        ['asset-rotation-mode', 'asset-scale-mode', 'asset-effects-mode', 'asset-recolor-mode', 'asset-blend-mode'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateEditingAssetSettings());
+        });
+        
+        ['asset-outline-enabled', 'asset-shadow-enabled', 'asset-glow-enabled'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateEditingAssetSettings());
+        });
+        ['asset-outline-width', 'asset-outline-color', 'asset-shadow-offset-x', 'asset-shadow-offset-y', 'asset-shadow-blur',
+            'asset-shadow-color', 'asset-shadow-opacity', 'asset-glow-size', 'asset-glow-color', 'asset-glow-opacity'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateEditingAssetSettings({ coalesce: true }));
+        });
+        
+        ['asset-trim', 'asset-remove-background'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateEditingAssetCleanup());
+        });
+        
+        document.getElementById('asset-settings-reset').addEventListener('click', () => {
+            if (!this.editingAsset) return;
+            this.assetSettings.delete(this.editingAsset);
+            this.refreshAssetSettingsPanel();
+            this.applyAssetSettingsChange();
+        });
+        document.getElementById('asset-settings-close').addEventListener('click', () => this.editAssetSettings(null));
+    }
+
+    // Open the settings panel for an asset, or close it when it's already open
+    editAssetSettings(img) {
+        this.editingAsset = img && img !== this.editingAsset ? img : null;
+        this.refreshAssetSettingsPanel();
+        this.renderAssetPreviews();
+    }
+
+    refreshAssetSettingsPanel() {
+        const panel = document.getElementById('asset-settings-panel');
+        if (!this.editingAsset || !this.assets.includes(this.editingAsset)) {
+            this.editingAsset = null;
+            panel.classList.add('hidden');
+            return;
+        }
+        
+        const settings = this.getAssetSettings(this.editingAsset);
+        document.getElementById('asset-weight').value = settings.weight;
+        document.getElementById('asset-size-multiplier').value = settings.sizeMultiplier;
+        document.getElementById('asset-min-count').value = settings.minCount;
+        document.getElementById('asset-max-count').value = settings.maxCount === null ? '' : settings.maxCount;
+        document.getElementById('asset-rotation-mode').value = settings.rotation;
+        document.getElementById('asset-scale-mode').value = settings.scale;
+        document.getElementById('asset-effects-mode').value = settings.effects;
+        document.getElementById('asset-effects-controls').classList.toggle('hidden', settings.effects !== 'custom');
+        if (settings.effects === 'custom') {
+            this.setEffectControls('asset-', settings.customEffects);
+        }
+        document.getElementById('asset-recolor-mode').value = settings.recolor;
+        document.getElementById('asset-opacity').value = Math.round(settings.opacity * 100);
+        document.getElementById('asset-blend-mode').value = settings.blend;
+        
+        // Text and SVG assets would lose their sharpness if cleaned up as pixels
+        const cleanup = this.getAssetCleanup(this.editingAsset);
+        document.getElementById('asset-cleanup-controls').classList.toggle('hidden', !this.canCleanUpAsset(this.editingAsset));
+        document.getElementById('asset-trim').checked = cleanup.trim;
+        document.getElementById('asset-remove-background').checked = cleanup.removeBackground;
+        panel.classList.remove('hidden');
+    }
+
+    updateEditingAssetSettings(historyOptions = {}) {
+        if (!this.editingAsset) return;
+        
+        const weight = parseFloat(document.getElementById('asset-weight').value);
+        const sizeMultiplier = parseFloat(document.getElementById('asset-size-multiplier').value);
+        const minCount = parseInt(document.getElementById('asset-min-count').value);
+        const maxCount = document.getElementById('asset-max-count').value;
+        const opacity = parseFloat(document.getElementById('asset-opacity').value);
+        const effects = document.getElementById('asset-effects-mode').value;
+        const previous = this.getAssetSettings(this.editingAsset);
+        
+        // A custom look starts out as a copy of the shared one
+        if (effects === 'custom' && previous.effects !== 'custom') {
+            this.setEffectControls('asset-', this.getEffectSettings());
+        }
+        document.getElementById('asset-effects-controls').classList.toggle('hidden', effects !== 'custom');
+        
+        const settings = {
+            weight: isNaN(weight) ? 1 : Math.max(0, weight),
+            minCount: isNaN(minCount) ? 0 : Math.max(0, minCount),
+            // Empty means no limit
+            maxCount: maxCount === '' ? null : Math.max(0, parseInt(maxCount) || 0),
+            sizeMultiplier: isNaN(sizeMultiplier) ? 1 : Math.min(5, Math.max(0.1, sizeMultiplier)),
+            rotation: document.getElementById('asset-rotation-mode').value,
+            scale: document.getElementById('asset-scale-mode').value,
+            effects,
+            customEffects: effects === 'custom' ? this.getEffectSettings('asset-') : null,
+            recolor: document.getElementById('asset-recolor-mode').value,
+            opacity: isNaN(opacity) ? 1 : Math.min(100, Math.max(0, opacity)) / 100,
+            blend: document.getElementById('asset-blend-mode').value
+        };
+        this.assetSettings.set(this.editingAsset, settings);
+        
+        // Effects, recoloring and blending are only drawn, so changing them alone keeps the current layout
+        const drawOnly = ['effects', 'customEffects', 'recolor', 'opacity', 'blend'];
+        const layoutChanged = Object.keys(settings).some(key => !drawOnly.includes(key) && settings[key] !== previous[key]);
+        if (layoutChanged) {
+            this.applyAssetSettingsChange(historyOptions);
+        } else {
+            this.renderAssetPreviews();
+            this.renderCanvas();
+            this.recordHistory('Edit asset style', historyOptions);
+        }
+    }
+
+    // Re-run clean-up from the original upload and swap the result in for the edited asset
+    async updateEditingAssetCleanup() {
+        const img = this.editingAsset;
+        if (!img) return;
+        
+        const removeBackground = document.getElementById('asset-remove-background').checked;
+        const cleaned = await this.cleanUpAsset(this.getAssetCleanup(img).original, {
+            trim: document.getElementById('asset-trim').checked,
+            removeBackground: removeBackground
+        });
+        if (removeBackground && !this.getAssetCleanup(cleaned).removeBackground) {
+            alert('No flat background color was found around the edges of this image.');
+        }
+        
+        const index = this.assets.indexOf(img);
+        if (index === -1) return;
+        this.assets[index] = cleaned;
+        if (this.assetSettings.has(img)) {
+            this.assetSettings.set(cleaned, this.assetSettings.get(img));
+        }
+        this.editingAsset = cleaned;
+        this.refreshAssetSettingsPanel();
+        this.renderAssetPreviews();
+        this.generateLayout({ historyLabel: 'Clean up asset' });
+    }
+
+    applyAssetSettingsChange(historyOptions = {}) {
+        this.renderAssetPreviews();
+        if (this.assets.length > 0) {
+            this.scheduleLayout('Edit asset settings', historyOptions);
+        }
+    }
+
     showBackgroundPreview(img) {
         const preview = document.getElementById('bg-preview');
         const previewImg = document.getElementById('bg-preview-img');
@@ -325,6 +904,9 @@ class ScattrApp {
         if (index > -1) {
             this.assets.splice(index, 1);
             previewItem.remove();
+            if (img === this.editingAsset) {
+                this.editAssetSettings(null);
+            }
             
                     // Auto-calculate optimal settings and generate layout
         this.calculateOptimalSettings();
@@ -335,8 +917,17 @@ class ScattrApp {
             this.updateUniqueAssetsUI(true);
         }
         
-        // Auto-generate layout with new assets
-        this.generateLayout();
+        // Auto-generate layout with the remaining assets
+        if (this.assets.length > 0) {
+            this.generateLayout({ historyLabel: 'Delete asset' });
+        } else {
+            this.cancelLayout();
+            this.samples = [];
+            this.isGenerated = false;
+            document.getElementById('asset-preview').classList.add('hidden');
+            this.renderCanvas();
+            this.recordHistory('Delete asset');
+        }
         }
     }
 
@@ -345,12 +936,19 @@ class ScattrApp {
         const preview = document.getElementById('bg-preview');
         preview.classList.add('hidden');
         this.renderCanvas();
+        this.recordHistory('Remove background');
     }
 
-    updateCanvasSize() {
+    updateCanvasSize({ keepAspect = false } = {}) {
         const width = parseInt(document.getElementById('canvas-width').value);
         const height = parseInt(document.getElementById('canvas-height').value);
         
+        // Locked edits keep the original ratio so rounding can't creep in
+        if (!keepAspect && width > 0 && height > 0) {
+            this.canvasAspectRatio = width / height;
+        }
+        this.updateCanvasPresetUI();
+        
         // Update canvas dimensions
         this.canvas.width = width;
         this.canvas.height = height;
@@ -366,57 +964,366 @@ class ScattrApp {
         this.renderCanvas();
     }
 
-    updateCanvasSizeToBackground(img) {
-        // Update the canvas size input fields to match the background image dimensions
-        document.getElementById('canvas-width').value = img.width;
-        document.getElementById('canvas-height').value = img.height;
+    setupCanvasSizeControls() {
+        const widthInput = document.getElementById('canvas-width');
+        const heightInput = document.getElementById('canvas-height');
+        
+        [widthInput, heightInput].forEach(input => {
+            input.addEventListener('input', () => {
+                const value = parseInt(input.value);
+                if (this.canvasAspectLocked && value > 0) {
+                    // Follow the edited side with the other one
+                    if (input === widthInput) {
+                        heightInput.value = Math.max(1, Math.round(value / this.canvasAspectRatio));
+                    } else {
+                        widthInput.value = Math.max(1, Math.round(value * this.canvasAspectRatio));
+                    }
+                }
+                this.resizeCanvas('Resize canvas', { keepAspect: this.canvasAspectLocked });
+                this.recordHistory('Resize canvas', { coalesce: true });
+            });
+        });
         
-        // Apply the new canvas size
-        this.updateCanvasSize();
+        const presetSelect = document.getElementById('canvas-preset');
+        presetSelect.addEventListener('change', () => {
+            const size = this.getCanvasPresetSize(presetSelect.value);
+            if (size) {
+                this.setCanvasSize(size.width, size.height, 'Apply canvas preset');
+            } else {
+                this.updateCanvasPresetUI();
+            }
+        });
+        
+        // Paper presets follow the DPI as it changes
+        document.getElementById('canvas-preset-dpi').addEventListener('change', () => {
+            const size = this.getCanvasPresetSize(presetSelect.value);
+            if (size) {
+                this.setCanvasSize(size.width, size.height, 'Apply canvas preset');
+            }
+        });
+        
+        document.getElementById('canvas-orientation-btn').addEventListener('click', () => {
+            this.setCanvasSize(parseInt(heightInput.value), parseInt(widthInput.value), 'Swap orientation');
+        });
+        
+        document.getElementById('canvas-aspect-lock').addEventListener('click', () => {
+            this.canvasAspectLocked = !this.canvasAspectLocked;
+            this.updateCanvasAspectLockUI();
+        });
+        
+        document.getElementById('canvas-preset-save').addEventListener('click', () => this.saveCustomCanvasPreset());
+        document.getElementById('canvas-preset-delete').addEventListener('click', () => this.deleteCustomCanvasPreset());
+        
+        this.populateCanvasPresets();
+        this.updateCanvasAspectLockUI();
     }
 
-    updateSpacingBasedOnAssets() {
-        if (this.assets.length === 0) return;
+    setCanvasSize(width, height, historyLabel) {
+        if (!(width > 0 && height > 0)) return;
+        document.getElementById('canvas-width').value = width;
+        document.getElementById('canvas-height').value = height;
+        this.resizeCanvas(historyLabel);
+        this.recordHistory(historyLabel);
+    }
+
+    // Apply the size inputs and adapt the current layout as chosen in "When Resizing".
+    // Layouts that fill the new space finish in the background and join the history entry.
+    resizeCanvas(historyLabel, { keepAspect = false } = {}) {
+        const width = parseInt(document.getElementById('canvas-width').value);
+        const height = parseInt(document.getElementById('canvas-height').value);
+        if (!this.isGenerated || this.assets.length === 0 || !(width > 0 && height > 0)) {
+            this.updateCanvasSize({ keepAspect });
+            return;
+        }
         
-        // Calculate appropriate spacing based on asset size setting
-        const assetSize = this.getAssetSize();
-        const suggestedSpacing = Math.round(assetSize * 0.6); // Reasonable default
-        const clampedSpacing = Math.max(10, Math.min(200, suggestedSpacing));
+        // A fill still running from the last step is stale now
+        this.cancelLayout();
+        const mode = document.getElementById('resize-mode').value;
+        const base = this.getResizeBase(historyLabel);
         
-        // Update the slider and display
-        document.getElementById('min-distance').value = clampedSpacing;
-        this.updateSpacingDisplay(clampedSpacing);
+        if (mode === 'scale') {
+            this.samples = this.scaleSamples(base.samples, width / base.width, height / base.height);
+        } else if (mode === 'keep') {
+            // Items stay put, those now off the canvas are dropped
+            this.samples = base.samples.filter(sample => sample.x >= 0 && sample.x < width && sample.y >= 0 && sample.y < height);
+        }
+        base.result = this.samples;
+        this.selectSample(null);
+        this.updateCanvasSize({ keepAspect });
+        
+        let overrides = null;
+        if (mode === 'keep' && (width > base.width || height > base.height)) {
+            // Give the added space its share of the items
+            const addedArea = width * height - Math.min(width, base.width) * Math.min(height, base.height);
+            overrides = {
+                fixed: this.serializeSamples(this.samples),
+                keepArea: { width: base.width, height: base.height },
+                numItems: this.samples.length + Math.ceil(this.getFillDensityAsNumItems() * addedArea / (width * height))
+            };
+        }
+        
+        if (mode === 'regenerate' || overrides) {
+            this.generateLayout({ overrides, recordHistory: false }).then(placed => {
+                if (!placed) return;
+                base.result = this.samples;
+                this.recordHistory(historyLabel, { coalesce: true });
+            });
+        }
     }
 
-    updateSpacingDisplay(value) {
-        const multiplier = (value / 50).toFixed(1); // Convert to multiplier (50px = 1.0x)
-        document.getElementById('min-distance-value').textContent = `${multiplier}x`;
+    // The layout a run of resizes started from. Typing a size resizes on every keystroke,
+    // and each step starts over from here so the layout doesn't wear down on the way.
+    getResizeBase(historyLabel) {
+        const base = this.resizeBase;
+        if (!base || base.historyLabel !== historyLabel || base.result !== this.samples) {
+            this.resizeBase = {
+                historyLabel,
+                samples: this.samples,
+                width: this.canvas.width,
+                height: this.canvas.height,
+                result: this.samples
+            };
+        }
+        return this.resizeBase;
     }
 
-    updateFillDensityDisplay(value) {
-        const densityLabels = ['', 'Minimal', 'Very Sparse', 'Sparse', 'Light', 'Medium', 'Dense', 'Very Dense', 'Heavy', 'Maximum'];
-        document.getElementById('fill-density-value').textContent = densityLabels[value] || 'Maximum';
+    // Stretch positions to the new size. Items grow with the smaller factor, so they
+    // never end up overlapping.
+    scaleSamples(samples, scaleX, scaleY) {
+        const itemScale = Math.min(scaleX, scaleY);
+        return samples.map(sample => ({
+            x: sample.x * scaleX,
+            y: sample.y * scaleY,
+            asset: sample.asset,
+            rotation: sample.rotation,
+            scale: (sample.scale || 1) * itemScale,
+            tone: sample.tone,
+            opacity: sample.opacity,
+            edited: sample.edited,
+            // Re-rolled scales are multiplied by this to stay in step with the canvas
+            scaleFactor: (sample.scaleFactor || 1) * itemScale
+        }));
     }
 
-    getFillDensityAsNumItems() {
-        const densityValue = parseInt(document.getElementById('fill-density').value);
-        const uniqueOnly = document.getElementById('unique-assets').checked;
-        
-        if (uniqueOnly) {
-            return this.assets.length; // Always try all unique assets
+    // Built-in sizes in pixels, grouped as they appear in the picker
+    getCanvasPresets() {
+        return [
+            {
+                group: 'Phone Wallpaper',
+                presets: [
+                    { id: 'iphone', name: 'iPhone 15 / 16', width: 1179, height: 2556 },
+                    { id: 'iphone-max', name: 'iPhone 15 / 16 Pro Max', width: 1290, height: 2796 },
+                    { id: 'android', name: 'Android (FHD+)', width: 1080, height: 2400 },
+                    { id: 'android-qhd', name: 'Android (QHD+)', width: 1440, height: 3200 }
+                ]
+            },
+            {
+                group: 'Desktop',
+                presets: [
+                    { id: 'desktop-hd', name: 'Full HD', width: 1920, height: 1080 },
+                    { id: 'desktop-qhd', name: 'QHD', width: 2560, height: 1440 },
+                    { id: 'desktop-4k', name: '4K UHD', width: 3840, height: 2160 },
+                    { id: 'desktop-5k', name: '5K', width: 5120, height: 2880 }
+                ]
+            },
+            {
+                group: 'Social',
+                presets: [
+                    { id: 'instagram-post', name: 'Instagram post', width: 1080, height: 1080 },
+                    { id: 'instagram-portrait', name: 'Instagram portrait', width: 1080, height: 1350 },
+                    { id: 'instagram-story', name: 'Instagram story', width: 1080, height: 1920 },
+                    { id: 'twitter-header', name: 'Twitter header', width: 1500, height: 500 }
+                ]
+            }
+        ];
+    }
+
+    getCanvasPresetDPI() {
+        const dpi = parseInt(document.getElementById('canvas-preset-dpi').value);
+        return Math.max(36, Math.min(600, dpi || 150));
+    }
+
+    // Pixel size of a picker value: a built-in id, 'paper:a4' or 'custom:<index>'
+    getCanvasPresetSize(value) {
+        if (value.startsWith('paper:')) {
+            const paper = this.getPaperSizes()[value.slice(6)];
+            if (!paper) return null;
+            const dpi = this.getCanvasPresetDPI();
+            return {
+                width: Math.round(paper[0] / 25.4 * dpi),
+                height: Math.round(paper[1] / 25.4 * dpi)
+            };
         }
-        
-        // Convert density level (1-10) to number of items (10-200)
-        // Using exponential scaling for more intuitive feel
-        const minItems = 10;
-        const maxItems = 200;
-        const normalizedDensity = (densityValue - 1) / 9; // 0 to 1
-        const exponentialFactor = Math.pow(normalizedDensity, 1.5); // Slight exponential curve
-        return Math.round(minItems + (maxItems - minItems) * exponentialFactor);
+        if (value.startsWith('custom:')) {
+            return this.customCanvasPresets[parseInt(value.slice(7))] || null;
+        }
+        for (const group of this.getCanvasPresets()) {
+            const preset = group.presets.find(preset => preset.id === value);
+            if (preset) return preset;
+        }
+        return null;
     }
 
-    calculateOptimalSettings() {
-        if (this.assets.length === 0) return;
+    populateCanvasPresets() {
+        const select = document.getElementById('canvas-preset');
+        select.innerHTML = '<option value="">Custom size</option>';
+        
+        const addGroup = (label, options) => {
+            if (options.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            options.forEach(({ value, name }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = name;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        };
+        
+        this.getCanvasPresets().forEach(group => {
+            addGroup(group.group, group.presets.map(preset => ({
+                value: preset.id,
+                name: `${preset.name} (${preset.width}×${preset.height})`
+            })));
+        });
+        addGroup('Paper', ['a5', 'a4', 'a3', 'a2'].map(paper => ({
+            value: `paper:${paper}`,
+            name: paper.toUpperCase()
+        })));
+        addGroup('My Presets', this.customCanvasPresets.map((preset, index) => ({
+            value: `custom:${index}`,
+            name: `${preset.name} (${preset.width}×${preset.height})`
+        })));
+        
+        this.updateCanvasPresetUI();
+    }
+
+    // Select the preset matching the current size in either orientation
+    updateCanvasPresetUI() {
+        const select = document.getElementById('canvas-preset');
+        const width = parseInt(document.getElementById('canvas-width').value);
+        const height = parseInt(document.getElementById('canvas-height').value);
+        const matches = (size) => size &&
+            ((size.width === width && size.height === height) || (size.width === height && size.height === width));
+        
+        // Prefer the entry already chosen, then custom presets, so duplicates don't jump around
+        const values = Array.from(select.options).map(option => option.value).filter(Boolean);
+        values.sort((a, b) => (b === select.value) - (a === select.value) ||
+            b.startsWith('custom:') - a.startsWith('custom:'));
+        select.value = values.find(value => matches(this.getCanvasPresetSize(value))) || '';
+        
+        document.getElementById('canvas-preset-dpi-controls').classList.toggle('hidden', !select.value.startsWith('paper:'));
+        document.getElementById('canvas-preset-delete').disabled = !select.value.startsWith('custom:');
+    }
+
+    updateCanvasAspectLockUI() {
+        const lockBtn = document.getElementById('canvas-aspect-lock');
+        lockBtn.title = this.canvasAspectLocked ? 'Unlock aspect ratio' : 'Lock aspect ratio';
+        lockBtn.classList.toggle('text-blue-400', this.canvasAspectLocked);
+        lockBtn.classList.toggle('text-neutral-400', !this.canvasAspectLocked);
+        lockBtn.querySelector('[data-lucide="link"]').classList.toggle('hidden', !this.canvasAspectLocked);
+        lockBtn.querySelector('[data-lucide="unlink"]').classList.toggle('hidden', this.canvasAspectLocked);
+    }
+
+    // Saved presets live in localStorage so they outlast the session
+    loadCustomCanvasPresets() {
+        try {
+            const presets = JSON.parse(localStorage.getItem('scattr-canvas-presets') || '[]');
+            return Array.isArray(presets)
+                ? presets.filter(preset => preset && preset.name && preset.width > 0 && preset.height > 0)
+                : [];
+        } catch (error) {
+            console.error('Failed to load canvas presets:', error);
+            return [];
+        }
+    }
+
+    storeCustomCanvasPresets() {
+        try {
+            localStorage.setItem('scattr-canvas-presets', JSON.stringify(this.customCanvasPresets));
+        } catch (error) {
+            console.error('Failed to save canvas presets:', error);
+            alert('Your preset could not be saved for future sessions.');
+        }
+    }
+
+    saveCustomCanvasPreset() {
+        const width = parseInt(document.getElementById('canvas-width').value);
+        const height = parseInt(document.getElementById('canvas-height').value);
+        if (!(width > 0 && height > 0)) return;
+        
+        const name = prompt('Name this canvas size:', `${width}×${height}`);
+        if (!name || !name.trim()) return;
+        
+        this.customCanvasPresets = [...this.customCanvasPresets, { name: name.trim(), width, height }];
+        this.storeCustomCanvasPresets();
+        this.populateCanvasPresets();
+        document.getElementById('canvas-preset').value = `custom:${this.customCanvasPresets.length - 1}`;
+        this.updateCanvasPresetUI();
+    }
+
+    deleteCustomCanvasPreset() {
+        const value = document.getElementById('canvas-preset').value;
+        if (!value.startsWith('custom:')) return;
+        
+        const index = parseInt(value.slice(7));
+        this.customCanvasPresets = this.customCanvasPresets.filter((preset, i) => i !== index);
+        this.storeCustomCanvasPresets();
+        this.populateCanvasPresets();
+    }
+
+    updateCanvasSizeToBackground(img, historyLabel) {
+        // Update the canvas size input fields to match the background image dimensions
+        document.getElementById('canvas-width').value = img.width;
+        document.getElementById('canvas-height').value = img.height;
+        
+        // Apply the new canvas size
+        this.resizeCanvas(historyLabel);
+    }
+
+    updateSpacingBasedOnAssets() {
+        if (this.assets.length === 0) return;
+        
+        // Calculate appropriate spacing based on asset size setting
+        const assetSize = this.getAssetSize();
+        const suggestedSpacing = Math.round(assetSize * 0.6); // Reasonable default
+        const clampedSpacing = Math.max(10, Math.min(200, suggestedSpacing));
+        
+        // Update the slider and display
+        document.getElementById('min-distance').value = clampedSpacing;
+        this.updateSpacingDisplay(clampedSpacing);
+    }
+
+    updateSpacingDisplay(value) {
+        const multiplier = (value / 50).toFixed(1); // Convert to multiplier (50px = 1.0x)
+        document.getElementById('min-distance-value').textContent = `${multiplier}x`;
+    }
+
+    updateFillDensityDisplay(value) {
+        const densityLabels = ['', 'Minimal', 'Very Sparse', 'Sparse', 'Light', 'Medium', 'Dense', 'Very Dense', 'Heavy', 'Maximum'];
+        document.getElementById('fill-density-value').textContent = densityLabels[value] || 'Maximum';
+    }
+
+    getFillDensityAsNumItems() {
+        const densityValue = parseInt(document.getElementById('fill-density').value);
+        const uniqueOnly = document.getElementById('unique-assets').checked;
+        
+        if (uniqueOnly) {
+            return this.assets.length; // Always try all unique assets
+        }
+        
+        // Convert density level (1-10) to number of items (10-200)
+        // Using exponential scaling for more intuitive feel
+        const minItems = 10;
+        const maxItems = 200;
+        const normalizedDensity = (densityValue - 1) / 9; // 0 to 1
+        const exponentialFactor = Math.pow(normalizedDensity, 1.5); // Slight exponential curve
+        return Math.round(minItems + (maxItems - minItems) * exponentialFactor);
+    }
+
+    calculateOptimalSettings() {
+        if (this.assets.length === 0) return;
         
         const canvasArea = this.canvas.width * this.canvas.height;
         const averageAssetArea = this.assets.reduce((sum, asset) => {
@@ -483,6 +1390,186 @@ class ScattrApp {
         };
     }
 
+    // Reassign the given transforms (rotation, scale, opacity) of the placed items from their
+    // seeded rolls. Positions never move, so items may overlap until the layout is regenerated.
+    // Items rotated or resized by hand keep their edits, and resized canvases keep their item scale.
+    rerollSampleTransforms(keys, historyLabel = 'Re-roll transforms', historyOptions = {}) {
+        if (!this.isGenerated) return;
+        const transformSettings = {
+            randomRotation: document.getElementById('random-rotation').checked,
+            rotationRange: this.getRotationRange(),
+            randomScale: document.getElementById('random-scale').checked,
+            scaleRange: this.getScaleRange(),
+            randomOpacity: document.getElementById('random-opacity').checked,
+            opacityRange: this.getOpacityRange()
+        };
+        
+        const shapeAware = document.getElementById('shape-aware').checked;
+        
+        this.samples.forEach((sample, index) => {
+            if (sample.edited) return;
+            const transform = ScattrLayout.applyAssetTransformOverrides(
+                ScattrLayout.getSampleTransform(this.seed, index, transformSettings),
+                sample.asset
+            );
+            const next = { rotation: sample.rotation, scale: sample.scale, tone: sample.tone, opacity: sample.opacity };
+            keys.forEach(key => {
+                next[key] = key === 'scale' ? transform.scale * (sample.scaleFactor || 1) : transform[key];
+            });
+            
+            // Rebuild the footprint as the layout would have placed it
+            delete sample.polygon;
+            Object.assign(sample, ScattrLayout.createCandidate(sample.x, sample.y, sample.asset, next, shapeAware));
+        });
+        this.renderCanvas();
+        this.recordHistory(historyLabel, historyOptions);
+    }
+
+    getOpacityRange() {
+        const minOpacity = parseFloat(document.getElementById('opacity-min').value);
+        const maxOpacity = parseFloat(document.getElementById('opacity-max').value);
+        const clamp = (value, fallback) => isNaN(value) ? fallback : Math.min(1, Math.max(0, value / 100));
+        return {
+            min: clamp(minOpacity, 0.5),
+            max: clamp(maxOpacity, 1)
+        };
+    }
+
+    setupDensityMapControls() {
+        this.densityMap = null;
+        this.densityMapData = null;
+        
+        const densityUpload = document.getElementById('density-map-upload');
+        const falloffSelect = document.getElementById('density-falloff');
+        
+        document.getElementById('density-map-upload-btn').addEventListener('click', () => densityUpload.click());
+        densityUpload.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                try {
+                    const img = await this.loadImage(file);
+                    const mapCanvas = document.createElement('canvas');
+                    mapCanvas.width = img.width;
+                    mapCanvas.height = img.height;
+                    const mapCtx = mapCanvas.getContext('2d');
+                    // Transparent parts of the map count as sparse
+                    mapCtx.fillStyle = '#000000';
+                    mapCtx.fillRect(0, 0, img.width, img.height);
+                    mapCtx.drawImage(img, 0, 0);
+                    
+                    this.setDensityMap(mapCanvas);
+                    falloffSelect.value = 'image';
+                    this.updateDensityUI();
+                    this.applyDensityChange('Upload density map');
+                } catch (error) {
+                    console.error('Error loading density map:', error);
+                    alert('Error loading density map. Please try again.');
+                }
+            }
+            // Allow uploading the same file again
+            e.target.value = '';
+        });
+        
+        falloffSelect.addEventListener('change', () => {
+            this.updateDensityUI();
+            // A custom map needs an image first
+            if (falloffSelect.value === 'image' && !this.densityMap) {
+                densityUpload.click();
+                return;
+            }
+            this.applyDensityChange('Change density map');
+        });
+        
+        document.getElementById('density-strength').addEventListener('input', () => {
+            this.updateDensityUI();
+            this.applyDensityChange('Change density strength', { coalesce: true });
+        });
+        
+        document.getElementById('density-invert').addEventListener('change', () => {
+            this.applyDensityChange('Invert density map');
+        });
+    }
+
+    // Map canvases are never changed once set, so history entries can share them
+    setDensityMap(mapCanvas) {
+        this.densityMap = mapCanvas;
+        this.densityMapData = null;
+    }
+
+    applyDensityChange(historyLabel, historyOptions = {}) {
+        if (this.assets.length > 0) {
+            this.scheduleLayout(historyLabel, historyOptions);
+        } else {
+            this.recordHistory(historyLabel, historyOptions);
+        }
+    }
+
+    updateDensityUI() {
+        const falloff = document.getElementById('density-falloff').value;
+        const strength = document.getElementById('density-strength').value;
+        document.getElementById('density-controls').classList.toggle('hidden', falloff === 'none');
+        document.getElementById('density-strength-value').textContent = `${strength}%`;
+    }
+
+    setupSeedControls() {
+        const seedInput = document.getElementById('seed-input');
+        
+        // Only allow digits in the seed field
+        seedInput.addEventListener('input', (e) => {
+            e.target.value = e.target.value.replace(/[^0-9]/g, '').slice(0, 10);
+        });
+        
+        // Apply a typed seed once the user commits it
+        seedInput.addEventListener('change', (e) => {
+            const value = parseInt(e.target.value);
+            if (isNaN(value)) {
+                this.updateSeedDisplay();
+                return;
+            }
+            this.setSeed(value);
+            if (this.assets.length > 0) {
+                this.generateLayout({ historyLabel: 'Set seed' });
+            }
+        });
+        
+        document.getElementById('seed-lock-btn').addEventListener('click', () => {
+            this.seedLocked = !this.seedLocked;
+            this.updateSeedDisplay();
+        });
+        
+        // Re-roll always picks a new seed, even when locked
+        document.getElementById('seed-reroll-btn').addEventListener('click', () => {
+            this.setSeed(this.createSeed());
+            if (this.assets.length > 0) {
+                this.generateLayout({ historyLabel: 'New seed' });
+            }
+        });
+        
+        this.updateSeedDisplay();
+    }
+
+    createSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    // Seeds are 32-bit. Larger values are clamped rather than wrapped, so a typed seed never
+    // quietly becomes a different one; the field then shows the seed actually used.
+    setSeed(seed) {
+        this.seed = Math.min(4294967295, Math.max(0, Math.floor(seed))) >>> 0;
+        this.updateSeedDisplay();
+    }
+
+    updateSeedDisplay() {
+        document.getElementById('seed-input').value = this.seed;
+        
+        const lockBtn = document.getElementById('seed-lock-btn');
+        lockBtn.title = this.seedLocked ? 'Unlock seed' : 'Lock seed';
+        lockBtn.classList.toggle('text-blue-400', this.seedLocked);
+        lockBtn.classList.toggle('text-neutral-400', !this.seedLocked);
+        lockBtn.querySelector('[data-lucide="lock"]').classList.toggle('hidden', !this.seedLocked);
+        lockBtn.querySelector('[data-lucide="lock-open"]').classList.toggle('hidden', this.seedLocked);
+    }
+
     updateUniqueAssetsUI(isUnique) {
         const densityContainer = document.getElementById('fill-density').parentElement;
         const densityLabel = densityContainer.querySelector('label');
@@ -500,403 +1587,300 @@ class ScattrApp {
         }
     }
 
-    // Pre-process assets to calculate their actual rendered sizes
-    prepareAssetPool(uniqueOnly = false) {
-        const assetPool = [];
-        const maxSize = this.getAssetSize();
-        
-        const assetsToUse = uniqueOnly ? this.assets : this.assets;
-        
-        for (const asset of assetsToUse) {
-            const ratio = Math.min(maxSize / asset.width, maxSize / asset.height);
-            const baseWidth = asset.width * ratio;
-            const baseHeight = asset.height * ratio;
-            
-            // Calculate effective radius for collision detection
-            const effectiveRadius = Math.max(baseWidth, baseHeight) / 2;
-            
-            assetPool.push({
-                image: asset,
-                baseWidth: baseWidth,
-                baseHeight: baseHeight,
-                effectiveRadius: effectiveRadius
-            });
-        }
-        
-        return assetPool;
+    // Current assets with their outlines and per-asset settings, as the layout engine takes them
+    getLayoutAssets() {
+        return this.assets.map(img => {
+            const settings = this.getAssetSettings(img);
+            return {
+                image: img,
+                width: img.width,
+                height: img.height,
+                hull: this.getAssetHull(img),
+                // Text keeps its font size (relative to the 100px Original asset size) instead of filling the asset box
+                settings: img.type === 'text'
+                    ? { ...settings, sizeMultiplier: settings.sizeMultiplier * Math.max(img.width, img.height) / 100 }
+                    : settings
+            };
+        });
     }
 
-    // Improved Asset-aware Poisson Disk Sampling Algorithm
-    generatePoissonSamples(desiredGap, k, numSamples) {
-        const width = this.canvas.width;
-        const height = this.canvas.height;
-        const uniqueOnly = document.getElementById('unique-assets').checked;
-        
-        // Prepare asset pool
-        const assetPool = this.prepareAssetPool();
-        if (assetPool.length === 0) return [];
-        
-        if (uniqueOnly) {
-            // For unique assets, use aggressive multi-attempt strategy
-            return this.generateUniqueAssetLayout(assetPool, desiredGap, width, height);
-        } else {
-            // For normal mode, prioritize unique placement first
-            return this.generatePrioritizedLayout(assetPool, desiredGap, k, numSamples, width, height);
-        }
+    prepareAssetPool() {
+        return ScattrLayout.prepareAssetPool(this.getLayoutAssets(), this.getAssetSize());
     }
 
-    // Aggressive algorithm for unique assets - tries much harder to place all assets
-    generateUniqueAssetLayout(assetPool, desiredGap, width, height) {
-        const maxAttempts = 5; // Try multiple different starting configurations
-        let bestResult = [];
-        
-        for (let attempt = 0; attempt < maxAttempts; attempt++) {
-            const result = this.attemptUniqueLayout(assetPool, desiredGap, width, height, attempt);
-            
-            // If we placed all assets, return immediately
-            if (result.length === assetPool.length) {
-                return result;
-            }
-            
-            // Keep the best result so far
-            if (result.length > bestResult.length) {
-                bestResult = result;
-            }
+    // Convex hull of an image's opaque pixels, relative to its center and normalized
+    // to its size (-0.5 to 0.5 on both axes). Cached per image.
+    getAssetHull(img) {
+        if (!this.assetHulls) {
+            this.assetHulls = new WeakMap();
+        }
+        if (this.assetHulls.has(img)) {
+            return this.assetHulls.get(img);
         }
         
-        return bestResult;
-    }
-
-    // Single attempt at unique layout with different strategies per attempt
-    attemptUniqueLayout(assetPool, desiredGap, width, height, attemptNumber) {
-        // Calculate maximum possible radius for grid sizing
-        const maxRadius = Math.max(...assetPool.map(asset => asset.effectiveRadius));
-        const maxMinDistance = maxRadius * 2 + desiredGap;
-        
-        // Grid setup
-        const cellSize = maxMinDistance / Math.sqrt(2);
-        const gridWidth = Math.ceil(width / cellSize);
-        const gridHeight = Math.ceil(height / cellSize);
-        const grid = Array(gridWidth).fill().map(() => Array(gridHeight).fill(-1));
-        
-        const samples = [];
-        const activeList = [];
-        const remainingAssets = [...assetPool]; // Copy of assets to place
-        
-        // Helper functions
-        const gridCoords = (point) => ({
-            x: Math.floor(point.x / cellSize),
-            y: Math.floor(point.y / cellSize)
-        });
+        // Fall back to the full bounding box if pixels can't be read
+        let hull = [
+            { x: -0.5, y: -0.5 }, { x: 0.5, y: -0.5 },
+            { x: 0.5, y: 0.5 }, { x: -0.5, y: 0.5 }
+        ];
         
-        const isValid = (candidate, candidateAsset) => {
-            if (candidate.x < candidateAsset.effectiveRadius || 
-                candidate.x >= width - candidateAsset.effectiveRadius || 
-                candidate.y < candidateAsset.effectiveRadius || 
-                candidate.y >= height - candidateAsset.effectiveRadius) {
-                return false;
-            }
+        try {
+            // A small copy is plenty for a collision outline
+            const resolution = 64;
+            const ratio = Math.min(1, resolution / Math.max(img.width, img.height));
+            const width = Math.max(1, Math.round(img.width * ratio));
+            const height = Math.max(1, Math.round(img.height * ratio));
             
-            const gridPos = gridCoords(candidate);
-            const searchRadius = Math.ceil(maxMinDistance / cellSize) + 1;
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            this.drawAssetImage(ctx, img, 0, 0, width, height);
+            const data = ctx.getImageData(0, 0, width, height).data;
             
-            for (let x = Math.max(0, gridPos.x - searchRadius); x <= Math.min(gridWidth - 1, gridPos.x + searchRadius); x++) {
-                for (let y = Math.max(0, gridPos.y - searchRadius); y <= Math.min(gridHeight - 1, gridPos.y + searchRadius); y++) {
-                    const index = grid[x][y];
-                    if (index !== -1) {
-                        const existingSample = samples[index];
-                        const distance = Math.sqrt(
-                            Math.pow(candidate.x - existingSample.x, 2) + 
-                            Math.pow(candidate.y - existingSample.y, 2)
-                        );
-                        
-                        const requiredDistance = candidateAsset.effectiveRadius + existingSample.asset.effectiveRadius + desiredGap;
-                        
-                        if (distance < requiredDistance) {
-                            return false;
-                        }
+            // The outermost opaque pixels of every row are enough for a convex hull
+            const points = [];
+            for (let y = 0; y < height; y++) {
+                let left = -1;
+                let right = -1;
+                for (let x = 0; x < width; x++) {
+                    if (data[(y * width + x) * 4 + 3] > 32) {
+                        if (left === -1) left = x;
+                        right = x;
                     }
                 }
-            }
-            return true;
-        };
-        
-        // Different starting strategies for different attempts
-        let startX, startY;
-        switch (attemptNumber) {
-            case 0: // Center start
-                startX = width / 2;
-                startY = height / 2;
-                break;
-            case 1: // Random start
-                startX = Math.random() * width;
-                startY = Math.random() * height;
-                break;
-            case 2: // Corner start
-                startX = width * 0.25;
-                startY = height * 0.25;
-                break;
-            case 3: // Edge start
-                startX = width * 0.1;
-                startY = height / 2;
-                break;
-            default: // Spiral start
-                const angle = attemptNumber * Math.PI / 3;
-                startX = width / 2 + Math.cos(angle) * width * 0.3;
-                startY = height / 2 + Math.sin(angle) * height * 0.3;
-        }
-        
-        // Place first asset
-        if (remainingAssets.length > 0) {
-            const firstAsset = remainingAssets.shift();
-            const initialPoint = { x: startX, y: startY, asset: firstAsset };
-            
-            if (isValid(initialPoint, firstAsset)) {
-                samples.push(initialPoint);
-                activeList.push(0);
-                const gridPos = gridCoords(initialPoint);
-                grid[gridPos.x][gridPos.y] = 0;
-            }
-        }
-        
-        // Main generation loop - be very persistent for unique assets
-        while (activeList.length > 0 && remainingAssets.length > 0) {
-            const randomIndex = Math.floor(Math.random() * activeList.length);
-            const pointIndex = activeList[randomIndex];
-            const parentSample = samples[pointIndex];
-            
-            let success = false;
-            const attemptsPerPoint = Math.min(200, remainingAssets.length * 50); // Much higher attempts
-            
-            // Try to place next unique asset
-            for (let i = 0; i < attemptsPerPoint && remainingAssets.length > 0; i++) {
-                const candidateAsset = remainingAssets[0]; // Always try the next unique asset
-                
-                const angle = Math.random() * 2 * Math.PI;
-                const minDistance = parentSample.asset.effectiveRadius + candidateAsset.effectiveRadius + desiredGap;
-                
-                // Vary the distance more for better coverage
-                const distanceVariation = Math.random() * minDistance * (1 + attemptNumber * 0.2);
-                const distance = minDistance + distanceVariation;
-                
-                const candidate = {
-                    x: parentSample.x + Math.cos(angle) * distance,
-                    y: parentSample.y + Math.sin(angle) * distance
-                };
-                
-                if (isValid(candidate, candidateAsset)) {
-                    const newSample = {
-                        x: candidate.x,
-                        y: candidate.y,
-                        asset: candidateAsset
-                    };
-                    
-                    samples.push(newSample);
-                    activeList.push(samples.length - 1);
-                    const gridPos = gridCoords(candidate);
-                    grid[gridPos.x][gridPos.y] = samples.length - 1;
-                    
-                    remainingAssets.shift(); // Remove the placed asset
-                    success = true;
-                    break;
+                if (left !== -1) {
+                    points.push({ x: left, y }, { x: left, y: y + 1 }, { x: right + 1, y }, { x: right + 1, y: y + 1 });
                 }
             }
             
-            if (!success) {
-                activeList.splice(randomIndex, 1);
-                
-                // If we're running out of active points but still have assets, add some new seed points
-                if (activeList.length < 3 && remainingAssets.length > 0) {
-                    for (let seedAttempt = 0; seedAttempt < 20; seedAttempt++) {
-                        const seedX = Math.random() * width;
-                        const seedY = Math.random() * height;
-                        const seedAsset = remainingAssets[0];
-                        const seedCandidate = { x: seedX, y: seedY };
-                        
-                        if (isValid(seedCandidate, seedAsset)) {
-                            const newSample = {
-                                x: seedX,
-                                y: seedY,
-                                asset: seedAsset
-                            };
-                            
-                            samples.push(newSample);
-                            activeList.push(samples.length - 1);
-                            const gridPos = gridCoords(seedCandidate);
-                            grid[gridPos.x][gridPos.y] = samples.length - 1;
-                            
-                            remainingAssets.shift();
-                            break;
-                        }
-                    }
-                }
+            if (points.length > 0) {
+                hull = ScattrLayout.convexHull(points).map(point => ({
+                    x: point.x / width - 0.5,
+                    y: point.y / height - 0.5
+                }));
             }
+        } catch (error) {
+            console.warn('Could not read asset pixels, using its bounding box for collisions:', error);
         }
         
-        return samples;
+        this.assetHulls.set(img, hull);
+        return hull;
     }
 
-    // Normal mode: prioritize placing each unique asset first, then duplicate
-    generatePrioritizedLayout(assetPool, desiredGap, k, numSamples, width, height) {
-        // Calculate maximum possible radius for grid sizing
-        const maxRadius = Math.max(...assetPool.map(asset => asset.effectiveRadius));
-        const maxMinDistance = maxRadius * 2 + desiredGap;
-        
-        // Grid setup
-        const cellSize = maxMinDistance / Math.sqrt(2);
-        const gridWidth = Math.ceil(width / cellSize);
-        const gridHeight = Math.ceil(height / cellSize);
-        const grid = Array(gridWidth).fill().map(() => Array(gridHeight).fill(-1));
-        
-        const samples = [];
-        const activeList = [];
-        const usedAssets = new Set(); // Track which unique assets we've used
-        
-        // Helper functions
-        const gridCoords = (point) => ({
-            x: Math.floor(point.x / cellSize),
-            y: Math.floor(point.y / cellSize)
-        });
+    // Everything the layout engine needs, read from the current controls
+    getLayoutOptions() {
+        const densityFalloff = document.getElementById('density-falloff').value;
         
-        const isValid = (candidate, candidateAsset) => {
-            if (candidate.x < 0 || candidate.x >= width || candidate.y < 0 || candidate.y >= height) {
-                return false;
-            }
-            
-            const gridPos = gridCoords(candidate);
-            const searchRadius = 2;
-            
-            for (let x = Math.max(0, gridPos.x - searchRadius); x <= Math.min(gridWidth - 1, gridPos.x + searchRadius); x++) {
-                for (let y = Math.max(0, gridPos.y - searchRadius); y <= Math.min(gridHeight - 1, gridPos.y + searchRadius); y++) {
-                    const index = grid[x][y];
-                    if (index !== -1) {
-                        const existingSample = samples[index];
-                        const distance = Math.sqrt(
-                            Math.pow(candidate.x - existingSample.x, 2) + 
-                            Math.pow(candidate.y - existingSample.y, 2)
-                        );
-                        
-                        const requiredDistance = candidateAsset.effectiveRadius + existingSample.asset.effectiveRadius + desiredGap;
-                        
-                        if (distance < requiredDistance) {
-                            return false;
-                        }
-                    }
-                }
+        return {
+            width: this.canvas.width,
+            height: this.canvas.height,
+            assets: this.getLayoutAssets(),
+            assetSize: this.getAssetSize(),
+            spacing: parseInt(document.getElementById('min-distance').value), // Gap between assets, not distance between centers
+            numItems: this.getFillDensityAsNumItems(),
+            seed: this.seed,
+            attempts: 30,
+            uniqueOnly: document.getElementById('unique-assets').checked,
+            shapeAware: document.getElementById('shape-aware').checked,
+            tileable: document.getElementById('tileable').checked,
+            randomRotation: document.getElementById('random-rotation').checked,
+            rotationRange: this.getRotationRange(),
+            randomScale: document.getElementById('random-scale').checked,
+            scaleRange: this.getScaleRange(),
+            randomOpacity: document.getElementById('random-opacity').checked,
+            opacityRange: this.getOpacityRange(),
+            mask: this.getMaskData(),
+            density: {
+                falloff: densityFalloff,
+                strength: parseInt(document.getElementById('density-strength').value) / 100,
+                invert: document.getElementById('density-invert').checked,
+                map: densityFalloff === 'image' ? this.getDensityMapData() : null
             }
-            return true;
         };
-        
-        // Smart asset selection: prioritize unused assets first
-        const selectAsset = () => {
-            // First try to select an unused unique asset
-            const unusedAssets = assetPool.filter((_, index) => !usedAssets.has(index));
-            
-            if (unusedAssets.length > 0) {
-                const selected = unusedAssets[Math.floor(Math.random() * unusedAssets.length)];
-                const originalIndex = assetPool.indexOf(selected);
-                usedAssets.add(originalIndex);
-                return selected;
+    }
+
+    // Brightness lookup table for the density map, built on first use after each change
+    getDensityMapData() {
+        if (!this.densityMap) return null;
+        if (!this.densityMapData) {
+            const width = this.densityMap.width;
+            const height = this.densityMap.height;
+            const pixels = this.densityMap.getContext('2d').getImageData(0, 0, width, height).data;
+            const values = new Float32Array(width * height);
+            for (let i = 0; i < values.length; i++) {
+                values[i] = (0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2]) / 255;
             }
-            
-            // All unique assets used, now we can duplicate randomly
-            return assetPool[Math.floor(Math.random() * assetPool.length)];
-        };
+            this.densityMapData = { width, height, values };
+        }
+        return this.densityMapData;
+    }
+
+    // Slider drags fire an input per step, so only the last change in a burst starts a layout.
+    // Those pass coalesce to keep the whole drag as one history entry.
+    scheduleLayout(historyLabel, historyOptions = {}) {
+        clearTimeout(this.pendingLayoutTimer);
+        this.pendingLayoutTimer = setTimeout(() => this.generateLayout({ historyLabel, coalesce: historyOptions.coalesce }), 50);
+    }
+
+    // Resolves with true once the new layout is on the canvas, or false if it was cancelled
+    generateLayout(options = {}) {
+        clearTimeout(this.pendingLayoutTimer);
+        if (this.assets.length === 0) {
+            alert('Please upload some assets first!');
+            return Promise.resolve(false);
+        }
         
-        // Add initial sample
-        const initialAsset = selectAsset();
-        if (!initialAsset) return [];
+        // Explicit regenerations roll a new seed unless the user locked it
+        if (options.newSeed && !this.seedLocked) {
+            this.setSeed(this.createSeed());
+        }
         
-        const initialPoint = {
-            x: Math.random() * width,
-            y: Math.random() * height,
-            asset: initialAsset
-        };
+        // Settings changed, so a layout still being generated is stale
+        this.cancelLayout();
+        const layoutOptions = Object.assign(this.getLayoutOptions(), options.overrides);
+        
+        if (!this.getLayoutWorker()) {
+            this.finishLayout(ScattrLayout.generateLayout(layoutOptions), options);
+            return Promise.resolve(true);
+        }
         
-        samples.push(initialPoint);
-        activeList.push(0);
-        const initialGridPos = gridCoords(initialPoint);
-        grid[initialGridPos.x][initialGridPos.y] = 0;
+        return this.runLayoutInWorker(layoutOptions).then(samples => {
+            if (!samples) return false;
+            this.finishLayout(samples, options);
+            return true;
+        });
+    }
+
+    // Lazily started worker for layout generation. Null where workers aren't available
+    // (e.g. pages opened from file://), and layouts are generated on the main thread instead.
+    getLayoutWorker() {
+        if (this.layoutWorker || this.layoutWorkerFailed || typeof Worker === 'undefined') {
+            return this.layoutWorker || null;
+        }
         
-        // Main generation loop
-        while (activeList.length > 0 && samples.length < numSamples) {
-            const randomIndex = Math.floor(Math.random() * activeList.length);
-            const pointIndex = activeList[randomIndex];
-            const parentSample = samples[pointIndex];
+        try {
+            this.layoutWorker = new Worker('layout-worker.js');
+            this.layoutWorker.addEventListener('message', (e) => this.handleLayoutWorkerMessage(e));
+            this.layoutWorker.addEventListener('error', (e) => this.handleLayoutWorkerError(e));
+        } catch (error) {
+            console.warn('Layout worker unavailable, generating on the main thread:', error);
+            this.layoutWorkerFailed = true;
+        }
+        return this.layoutWorker || null;
+    }
+
+    // Resolves with the placed samples, or null when the job is cancelled
+    runLayoutInWorker(layoutOptions) {
+        return new Promise(resolve => {
+            const id = (this.layoutJobId = (this.layoutJobId || 0) + 1);
+            const job = { id: id, options: layoutOptions, resolve: resolve, progress: 0, progressVisible: false };
+            // The pool the indices refer to, assets or their settings may change before the reply
+            job.assetPool = ScattrLayout.prepareAssetPool(layoutOptions.assets, layoutOptions.assetSize);
+            this.layoutJob = job;
             
-            let success = false;
+            // Quick layouts finish before the progress indicator would flash up
+            job.progressTimer = setTimeout(() => {
+                job.progressVisible = true;
+                this.updateLayoutProgress(job.progress);
+            }, 200);
             
-            // Generate k candidates around the point
-            for (let i = 0; i < k; i++) {
-                const candidateAsset = selectAsset();
-                if (!candidateAsset) break;
-                
-                const angle = Math.random() * 2 * Math.PI;
-                const minDistance = parentSample.asset.effectiveRadius + candidateAsset.effectiveRadius + desiredGap;
-                const distance = minDistance + Math.random() * minDistance * 0.5;
-                
-                const candidate = {
-                    x: parentSample.x + Math.cos(angle) * distance,
-                    y: parentSample.y + Math.sin(angle) * distance
-                };
-                
-                if (isValid(candidate, candidateAsset)) {
-                    const newSample = {
-                        x: candidate.x,
-                        y: candidate.y,
-                        asset: candidateAsset
-                    };
-                    
-                    samples.push(newSample);
-                    activeList.push(samples.length - 1);
-                    const gridPos = gridCoords(candidate);
-                    grid[gridPos.x][gridPos.y] = samples.length - 1;
-                    success = true;
-                    break;
+            // Images can't be sent to a worker, so assets travel as their index
+            this.layoutWorker.postMessage({
+                id: id,
+                options: {
+                    ...layoutOptions,
+                    assets: layoutOptions.assets.map((asset, index) => ({ ...asset, image: index }))
                 }
-            }
-            
-            if (!success) {
-                activeList.splice(randomIndex, 1);
-            }
-        }
-        
-        return samples;
+            });
+        });
     }
 
-    generateLayout() {
-        if (this.assets.length === 0) {
-            alert('Please upload some assets first!');
+    handleLayoutWorkerMessage(e) {
+        const { id, type } = e.data;
+        const job = this.layoutJob;
+        if (!job || job.id !== id) return; // Superseded by a newer layout
+        
+        if (type === 'progress') {
+            job.progress = e.data.progress;
+            if (job.progressVisible) {
+                this.updateLayoutProgress(job.progress);
+            }
             return;
         }
         
-        const baseSpacing = parseInt(document.getElementById('min-distance').value);
-        const desiredGap = baseSpacing; // This represents the gap between assets, not distance between centers
-        const k = 30; // Algorithm attempts
-        const uniqueOnly = document.getElementById('unique-assets').checked;
-        
-        // When unique assets only is enabled, try to place all available unique assets
-        let numSamples;
-        if (uniqueOnly) {
-            numSamples = this.assets.length; // Try to place all unique assets
+        this.endLayoutJob();
+        if (type === 'done') {
+            // Swap the asset indices back for the entries of the pool that was posted
+            job.resolve(e.data.samples.map(sample => ({ ...sample, asset: job.assetPool[sample.asset.image] })));
         } else {
-            numSamples = this.getFillDensityAsNumItems();
+            console.error('Error generating layout:', e.data.message);
+            job.resolve(null);
         }
+    }
+
+    // The worker script couldn't load or crashed, finish on the main thread from now on
+    handleLayoutWorkerError(e) {
+        e.preventDefault();
+        console.warn('Layout worker failed, generating on the main thread:', e.message);
+        this.layoutWorker.terminate();
+        this.layoutWorker = null;
+        this.layoutWorkerFailed = true;
+        
+        const job = this.layoutJob;
+        if (job) {
+            this.endLayoutJob();
+            job.resolve(ScattrLayout.generateLayout(job.options));
+        }
+    }
+
+    // Stop the layout in progress, keeping the current one. A busy worker can't read
+    // messages, so it's terminated and a fresh one starts with the next layout.
+    cancelLayout() {
+        const job = this.layoutJob;
+        if (!job) return;
         
-        this.samples = this.generatePoissonSamples(desiredGap, k, numSamples);
-        this.isGenerated = true;
-        
-        this.renderCanvas();
+        this.endLayoutJob();
+        this.layoutWorker.terminate();
+        this.layoutWorker = null;
+        job.resolve(null);
+    }
+
+    endLayoutJob() {
+        clearTimeout(this.layoutJob.progressTimer);
+        this.layoutJob = null;
+        document.getElementById('layout-progress').classList.add('hidden');
+    }
+
+    updateLayoutProgress(progress) {
+        const percent = Math.round(Math.min(1, progress) * 100);
+        document.getElementById('layout-progress').classList.remove('hidden');
+        document.getElementById('layout-progress-bar').style.width = `${percent}%`;
+        document.getElementById('layout-progress-value').textContent = `${percent}%`;
+    }
+
+    finishLayout(samples, options) {
+        this.samples = samples;
+        this.layoutGeneration++;
+        this.selectSample(null);
+        this.isGenerated = true;
+        
+        this.renderCanvas();
         document.getElementById('export-btn').disabled = false;
         document.getElementById('export-settings-btn').disabled = false;
         
+        const historyLabel = options.historyLabel || 'Generate layout';
+        if (options.recordHistory !== false) {
+            this.recordHistory(historyLabel, { coalesce: options.coalesce });
+        }
+        
         const uniqueOnly2 = document.getElementById('unique-assets').checked;
         if (uniqueOnly2) {
             const successRate = ((this.samples.length / this.assets.length) * 100).toFixed(0);
-            console.log(`Generated ${this.samples.length}/${this.assets.length} unique assets (${successRate}% success rate)`);
+            console.log(`Generated ${this.samples.length}/${this.assets.length} unique assets (${successRate}% success rate, seed ${this.seed})`);
         } else {
             const uniqueAssetsPlaced = new Set(this.samples.map(s => s.asset.image)).size;
-            console.log(`Generated ${this.samples.length} samples (${uniqueAssetsPlaced}/${this.assets.length} unique assets used before duplicating)`);
+            console.log(`Generated ${this.samples.length} samples (${uniqueAssetsPlaced}/${this.assets.length} unique assets used before duplicating, seed ${this.seed})`);
         }
     }
 
@@ -905,15 +1889,79 @@ class ScattrApp {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
         // Draw background based on current type
+        this.drawBackground(this.ctx);
+        
+        // Draw samples if generated
+        if (this.isGenerated && this.samples.length > 0) {
+            this.drawSamples(this.ctx);
+        }
+        
+        // Selection and mask overlays are preview-only, exports never include them
+        this.drawSelection(this.ctx);
+        this.drawMaskOverlay(this.ctx);
+        
+        if (this.tilePreview) {
+            this.renderTilePreview();
+        }
+        
+        this.scheduleExportEstimate();
+    }
+
+    // The 2x2 preview only makes sense for tileable layouts
+    updateTileableUI() {
+        const tileable = document.getElementById('tileable').checked;
+        if (!tileable) {
+            this.tilePreview = false;
+        }
+        
+        const previewBtn = document.getElementById('tile-preview-btn');
+        previewBtn.classList.toggle('hidden', !tileable);
+        previewBtn.classList.toggle('text-blue-400', !!this.tilePreview);
+        previewBtn.classList.toggle('text-neutral-300', !this.tilePreview);
+        
+        // Editing happens on the main canvas, the preview replaces it while shown
+        this.canvas.classList.toggle('hidden', !!this.tilePreview);
+        document.getElementById('tile-preview-canvas').classList.toggle('hidden', !this.tilePreview);
+        if (this.tilePreview) {
+            this.selectSample(null);
+        }
+    }
+
+    // Draw the layout 2x2 at the size of one canvas so seams are easy to spot
+    renderTilePreview() {
+        const preview = document.getElementById('tile-preview-canvas');
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        preview.width = width * 2;
+        preview.height = height * 2;
+        preview.style.width = `${width}px`;
+        
+        const previewCtx = preview.getContext('2d');
+        const tile = document.createElement('canvas');
+        tile.width = width;
+        tile.height = height;
+        const tileCtx = tile.getContext('2d');
+        this.drawBackground(tileCtx);
+        this.drawSamples(tileCtx);
+        
+        [0, width].forEach(x => {
+            [0, height].forEach(y => previewCtx.drawImage(tile, x, y));
+        });
+    }
+
+    drawBackground(ctx) {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        
         if (this.currentBackgroundType === 'image' && this.background) {
-            this.ctx.drawImage(this.background, 0, 0, this.canvas.width, this.canvas.height);
+            ctx.drawImage(this.background, 0, 0, width, height);
         } else if (this.currentBackgroundType === 'color') {
             if (this.backgroundColorType === 'solid') {
                 const hex = document.getElementById('hex-input').value;
-                this.ctx.fillStyle = `#${hex}`;
-                this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+                ctx.fillStyle = `#${hex}`;
+                ctx.fillRect(0, 0, width, height);
             } else {
-                // Create gradient for canvas using fixed presets
+                // Create gradient using fixed presets
                 const stops = this.gradientStops || [
                     { color: '#171717', position: 0 },
                     { color: '#404040', position: 100 }
@@ -924,21 +1972,21 @@ class ScattrApp {
                 if (style.startsWith('linear')) {
                     const angle = this.getGradientAngle(style);
                     const angleRad = angle * Math.PI / 180;
-                    const x1 = this.canvas.width / 2 - Math.cos(angleRad) * this.canvas.width / 2;
-                    const y1 = this.canvas.height / 2 - Math.sin(angleRad) * this.canvas.height / 2;
-                    const x2 = this.canvas.width / 2 + Math.cos(angleRad) * this.canvas.width / 2;
-                    const y2 = this.canvas.height / 2 + Math.sin(angleRad) * this.canvas.height / 2;
-                    gradient = this.ctx.createLinearGradient(x1, y1, x2, y2);
+                    const x1 = width / 2 - Math.cos(angleRad) * width / 2;
+                    const y1 = height / 2 - Math.sin(angleRad) * height / 2;
+                    const x2 = width / 2 + Math.cos(angleRad) * width / 2;
+                    const y2 = height / 2 + Math.sin(angleRad) * height / 2;
+                    gradient = ctx.createLinearGradient(x1, y1, x2, y2);
                 } else {
                     if (style === 'radial-center') {
-                        gradient = this.ctx.createRadialGradient(
-                            this.canvas.width / 2, this.canvas.height / 2, 0,
-                            this.canvas.width / 2, this.canvas.height / 2, Math.max(this.canvas.width, this.canvas.height) / 2
+                        gradient = ctx.createRadialGradient(
+                            width / 2, height / 2, 0,
+                            width / 2, height / 2, Math.max(width, height) / 2
                         );
                     } else { // radial-corner
-                        gradient = this.ctx.createRadialGradient(
+                        gradient = ctx.createRadialGradient(
                             0, 0, 0,
-                            this.canvas.width, this.canvas.height, Math.max(this.canvas.width, this.canvas.height)
+                            width, height, Math.max(width, height)
                         );
                     }
                 }
@@ -949,60 +1997,50 @@ class ScattrApp {
                     const color = opacity < 1.0 ? this.hexToRgba(stop.color.replace('#', ''), opacity) : stop.color;
                     gradient.addColorStop(position, color);
                 });
-                this.ctx.fillStyle = gradient;
-                this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+                ctx.fillStyle = gradient;
+                ctx.fillRect(0, 0, width, height);
             }
         } else if (this.currentBackgroundType !== 'none') {
             // Default fallback for image type when no background
-            this.ctx.fillStyle = '#262626';
-            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-        }
-        
-        // Draw samples if generated
-        if (this.isGenerated && this.samples.length > 0) {
-            const randomRotation = document.getElementById('random-rotation').checked;
-            const randomScale = document.getElementById('random-scale').checked;
-            
-            this.samples.forEach(sample => {
-                if (sample.asset) {
-                    this.drawAsset(sample.asset.image, sample, randomRotation, randomScale, sample.asset);
-                }
-            });
+            ctx.fillStyle = '#262626';
+            ctx.fillRect(0, 0, width, height);
         }
     }
 
+    drawSamples(ctx, samples = this.samples) {
+        const style = this.getDrawStyle();
+        samples.forEach(sample => {
+            if (sample.asset) {
+                this.getSampleTileOffsets(sample, this.getAssetEffects(sample.asset.image, style.effects)).forEach(offset => {
+                    const copy = offset.x || offset.y ? { ...sample, x: sample.x + offset.x, y: sample.y + offset.y } : sample;
+                    this.drawAssetOnContext(ctx, sample.asset.image, copy, style);
+                });
+            }
+        });
+    }
 
-
-    drawAsset(asset, position, randomRotation, randomScale, assetInfo = null) {
-        this.ctx.save();
-        
-        // Move to position
-        this.ctx.translate(position.x, position.y);
-        
-        // Apply random rotation with custom range
-        if (randomRotation) {
-            const rotationRange = this.getRotationRange();
-            const rotation = rotationRange.min + Math.random() * (rotationRange.max - rotationRange.min);
-            this.ctx.rotate(rotation);
-        }
-        
-        // Apply random scale with custom range
-        let scale = 1;
-        if (randomScale) {
-            const scaleRange = this.getScaleRange();
-            scale = scaleRange.min + Math.random() * (scaleRange.max - scaleRange.min);
+    // Where to draw a sample: just in place, plus on the opposite side(s) when a
+    // tileable layout has it (or its effects) crossing an edge
+    getSampleTileOffsets(sample, effects = this.getAssetEffects(sample.asset.image, this.getEffectSettings())) {
+        if (!document.getElementById('tileable').checked) {
+            return [{ x: 0, y: 0 }];
         }
         
-        // Calculate dimensions using current asset size setting
-        const maxSize = this.getAssetSize();
-            const ratio = Math.min(maxSize / asset.width, maxSize / asset.height);
-        const width = asset.width * ratio * scale;
-        const height = asset.height * ratio * scale;
-        
-        // Draw asset centered at position
-        this.ctx.drawImage(asset, -width/2, -height/2, width, height);
-        
-        this.ctx.restore();
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const scale = sample.scale || 1;
+        const radius = Math.hypot(sample.asset.baseWidth, sample.asset.baseHeight) * scale / 2 + this.getEffectsMargin(effects);
+        const offsets = [];
+        
+        [-width, 0, width].forEach(x => {
+            [-height, 0, height].forEach(y => {
+                if (sample.x + x + radius > 0 && sample.x + x - radius < width &&
+                    sample.y + y + radius > 0 && sample.y + y - radius < height) {
+                    offsets.push({ x, y });
+                }
+            });
+        });
+        return offsets;
     }
 
     downloadImage(settings = null) {
@@ -1016,9 +2054,44 @@ class ScattrApp {
         const exportSettings = settings || {
             format: 'png',
             scale: 2,
-            transparent: this.currentBackgroundType === 'none'
+            transparent: this.currentBackgroundType === 'none',
+            quality: 0.9,
+            lossless: false
         };
         
+        // SVG is written as markup rather than rendered
+        if (exportSettings.format === 'svg') {
+            this.downloadSVG(exportSettings);
+            return;
+        }
+        
+        if (exportSettings.format === 'pdf') {
+            this.downloadPDF(exportSettings);
+            return;
+        }
+        
+        this.withSVGAssets(exportSettings.scale, () => {
+            return this.encodeExportCanvas(this.renderExportCanvas(exportSettings), exportSettings);
+        }).then(blob => {
+            // Create download link
+            const link = document.createElement('a');
+            const url = URL.createObjectURL(blob);
+            link.download = this.getExportFilename(exportSettings);
+            link.href = url;
+            
+            // Add a small delay to prevent double downloads
+            setTimeout(() => {
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+            }, 100);
+        }).catch(error => {
+            console.error('Error exporting image:', error);
+            alert(error.message);
+        });
+    }
+
+    // Render the layout at export resolution on a temporary canvas
+    renderExportCanvas(exportSettings) {
         // Create a temporary canvas for high-quality export
         const exportCanvas = document.createElement('canvas');
         const exportCtx = exportCanvas.getContext('2d');
@@ -1034,322 +2107,2514 @@ class ScattrApp {
         const transparentExport = exportSettings.transparent;
         
         if (!transparentExport) {
-            // Draw background based on current type
-            if (this.currentBackgroundType === 'image' && this.background) {
-                exportCtx.drawImage(this.background, 0, 0, this.canvas.width, this.canvas.height);
-            } else if (this.currentBackgroundType === 'color') {
-                if (this.backgroundColorType === 'solid') {
-                    const hex = document.getElementById('hex-input').value;
-                    exportCtx.fillStyle = `#${hex}`;
-                    exportCtx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-                } else {
-                    // Create gradient for export using fixed presets
-                    const stops = this.gradientStops || [
-                        { color: '#171717', position: 0 },
-                        { color: '#404040', position: 100 }
-                    ];
-                    const style = this.currentGradientStyle || 'linear-90';
-
-                    let gradient;
-                    if (style.startsWith('linear')) {
-                        const angle = this.getGradientAngle(style);
-                        const angleRad = angle * Math.PI / 180;
-                        const x1 = this.canvas.width / 2 - Math.cos(angleRad) * this.canvas.width / 2;
-                        const y1 = this.canvas.height / 2 - Math.sin(angleRad) * this.canvas.height / 2;
-                        const x2 = this.canvas.width / 2 + Math.cos(angleRad) * this.canvas.width / 2;
-                        const y2 = this.canvas.height / 2 + Math.sin(angleRad) * this.canvas.height / 2;
-                        gradient = exportCtx.createLinearGradient(x1, y1, x2, y2);
-                    } else {
-                        if (style === 'radial-center') {
-                            gradient = exportCtx.createRadialGradient(
-                                this.canvas.width / 2, this.canvas.height / 2, 0,
-                                this.canvas.width / 2, this.canvas.height / 2, Math.max(this.canvas.width, this.canvas.height) / 2
-                            );
-                        } else { // radial-corner
-                            gradient = exportCtx.createRadialGradient(
-                                0, 0, 0,
-                                this.canvas.width, this.canvas.height, Math.max(this.canvas.width, this.canvas.height)
-                            );
-                        }
-                    }
+            this.drawBackground(exportCtx);
+        }
+        
+        // Draw samples with the same stored transforms as the preview
+        this.drawSamples(exportCtx);
+        
+        // JPG doesn't support transparency, so fill with white if transparent was requested
+        if (exportSettings.format === 'jpg' && transparentExport) {
+            exportCtx.globalCompositeOperation = 'destination-over';
+            exportCtx.fillStyle = '#ffffff';
+            exportCtx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+        
+        return exportCanvas;
+    }
 
-                    stops.forEach((stop, index) => {
-                        const position = stops.length > 1 ? index / (stops.length - 1) : 0;
-                        const opacity = stop.opacity || 1.0;
-                        const color = opacity < 1.0 ? this.hexToRgba(stop.color.replace('#', ''), opacity) : stop.color;
-                        gradient.addColorStop(position, color);
-                    });
-                    exportCtx.fillStyle = gradient;
-                    exportCtx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    getExportMimeType(format) {
+        return {
+            png: 'image/png',
+            jpg: 'image/jpeg',
+            webp: 'image/webp',
+            avif: 'image/avif'
+        }[format];
+    }
+
+    // Lossy formats use the quality slider. Browsers encode WebP losslessly at quality 1.
+    isLossyExport(exportSettings) {
+        return exportSettings.format === 'jpg' || exportSettings.format === 'avif' ||
+            (exportSettings.format === 'webp' && !exportSettings.lossless);
+    }
+
+    encodeExportCanvas(exportCanvas, exportSettings) {
+        const mimeType = this.getExportMimeType(exportSettings.format);
+        const quality = this.isLossyExport(exportSettings) ? exportSettings.quality : 1;
+        
+        return new Promise((resolve, reject) => {
+            exportCanvas.toBlob(blob => {
+                // Browsers silently fall back to PNG for types they can't encode
+                if (!blob || blob.type !== mimeType) {
+                    reject(new Error(`This browser can't export ${exportSettings.format.toUpperCase()} images.`));
+                    return;
+                }
+                resolve(blob);
+            }, mimeType, quality);
+        });
+    }
+
+    // Check once which optional formats the browser can encode
+    getSupportedExportFormats() {
+        if (!this.supportedExportFormats) {
+            const canvas = document.createElement('canvas');
+            canvas.width = 1;
+            canvas.height = 1;
+            this.supportedExportFormats = new Set(['png', 'jpg', 'svg', 'pdf']);
+            ['webp', 'avif'].forEach(format => {
+                const mimeType = this.getExportMimeType(format);
+                if (canvas.toDataURL(mimeType).startsWith(`data:${mimeType}`)) {
+                    this.supportedExportFormats.add(format);
                 }
-            } else if (this.currentBackgroundType !== 'none') {
-                // Default fallback for image type when no background
-                exportCtx.fillStyle = '#262626';
-                exportCtx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+            });
+        }
+        return this.supportedExportFormats;
+    }
+
+    // Re-estimate the export file size once things settle. Encoding is too slow to repeat
+    // after every edit, so it only runs while the export menu is open.
+    scheduleExportEstimate() {
+        clearTimeout(this.exportEstimateTimeout);
+        if (document.getElementById('export-dropdown').classList.contains('hidden')) {
+            // Out of date now, worked out again when the menu opens
+            document.getElementById('export-size-estimate').textContent = '';
+            return;
+        }
+        this.exportEstimateTimeout = setTimeout(() => this.updateExportEstimate(), 500);
+    }
+
+    async updateExportEstimate() {
+        const estimate = document.getElementById('export-size-estimate');
+        if (!estimate || !this.exportSettings || (!this.isGenerated && this.assets.length > 0)) {
+            return;
+        }
+        
+        // Print-resolution pages are too heavy to render just for an estimate
+        if (this.exportSettings.format === 'pdf') {
+            estimate.textContent = '';
+            return;
+        }
+        
+        const exportSettings = { ...this.exportSettings };
+        try {
+            let size;
+            if (exportSettings.format === 'svg') {
+                size = (await this.renderExportBlob(exportSettings)).size;
+            } else {
+                // Encode a copy of at most a megapixel and scale its size up by the pixel count,
+                // so large exports don't have to be rendered in full just for the label
+                const pixels = this.canvas.width * this.canvas.height * exportSettings.scale * exportSettings.scale;
+                const ratio = Math.min(1, Math.sqrt(1000000 / pixels));
+                const canvas = this.renderExportCanvas({ ...exportSettings, scale: exportSettings.scale * ratio });
+                size = Math.round((await this.encodeExportCanvas(canvas, exportSettings)).size / (ratio * ratio));
             }
+            estimate.textContent = `~${this.formatFileSize(size)}`;
+        } catch (error) {
+            estimate.textContent = '';
+        }
+    }
+
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    // Export the composition as an editable SVG: background as native shapes/gradients,
+    // each asset defined once and placed with <use> so transforms stay editable
+    async buildSVG(exportSettings) {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const n = (value) => +value.toFixed(3);
+        const defs = [];
+        const body = [];
+        
+        if (!exportSettings.transparent) {
+            body.push(await this.getSVGBackground(defs));
         }
         
-        // Draw samples
-        const randomRotation = document.getElementById('random-rotation').checked;
-        const randomScale = document.getElementById('random-scale').checked;
+        // Define every used asset once at its natural size
+        const assetIds = new Map();
+        for (const sample of this.samples) {
+            const img = sample.asset && sample.asset.image;
+            if (!img || assetIds.has(img)) continue;
+            
+            const id = `asset-${assetIds.size}`;
+            assetIds.set(img, id);
+            defs.push(await this.getSVGAssetDefinition(img, id));
+        }
         
-        this.samples.forEach(sample => {
-            if (sample.asset) {
-                this.drawAssetOnContext(exportCtx, sample.asset.image, sample, randomRotation, randomScale, sample.asset);
+        const style = this.getDrawStyle();
+        const { effects, recolor } = style;
+        
+        // One effects filter per distinct look, assets can have their own
+        const effectsIds = new Map();
+        const getEffectsFilterId = (sampleEffects) => {
+            const key = JSON.stringify(sampleEffects);
+            if (!effectsIds.has(key)) {
+                const id = `sticker-effects-${effectsIds.size}`;
+                effectsIds.set(key, id);
+                defs.push(this.getSVGEffectsFilter(sampleEffects, id));
             }
+            return effectsIds.get(key);
+        };
+        
+        // One recolor filter per distinct set of colors
+        const recolorIds = new Map();
+        const getRecolorFilterId = (sampleRecolor) => {
+            const key = sampleRecolor.fill || sampleRecolor.gradient.join(',');
+            if (!recolorIds.has(key)) {
+                const id = `recolor-${recolorIds.size}`;
+                recolorIds.set(key, id);
+                defs.push(this.getSVGRecolorFilter(sampleRecolor, id));
+            }
+            return recolorIds.get(key);
+        };
+        
+        this.samples.forEach(sample => {
+            const img = sample.asset && sample.asset.image;
+            if (!img) return;
+            
+            const scale = sample.scale || 1;
+            const fit = sample.asset.baseWidth * scale / img.width;
+            const rotation = (sample.rotation || 0) * 180 / Math.PI;
+            const sampleEffects = this.getAssetEffects(img, effects);
+            const sampleRecolor = this.getSampleRecolor(img, sample, recolor);
+            const opacity = this.getSampleOpacity(img, sample, style);
+            const blend = this.getSampleBlendMode(img, style);
+            this.getSampleTileOffsets(sample, sampleEffects).forEach(offset => {
+                let markup = `<use xlink:href="#${assetIds.get(img)}" transform="translate(${n(sample.x + offset.x)} ${n(sample.y + offset.y)}) rotate(${n(rotation)}) scale(${n(fit)}) translate(${n(-img.width / 2)} ${n(-img.height / 2)})"/>`;
+                // Recolor first, so the effects are cast by the recolored asset
+                if (sampleRecolor) {
+                    markup = `<g filter="url(#${getRecolorFilterId(sampleRecolor)})">${markup}</g>`;
+                }
+                if (sampleEffects) {
+                    markup = `<g filter="url(#${getEffectsFilterId(sampleEffects)})">${markup}</g>`;
+                }
+                if (opacity < 1 || blend !== 'source-over') {
+                    const blendStyle = blend !== 'source-over' ? ` style="mix-blend-mode:${blend}"` : '';
+                    markup = `<g opacity="${n(opacity)}"${blendStyle}>${markup}</g>`;
+                }
+                body.push(markup);
+            });
         });
         
-        // Create download link
-        const link = document.createElement('a');
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width * exportSettings.scale}" height="${height * exportSettings.scale}" viewBox="0 0 ${width} ${height}">`,
+            `<defs>${defs.join('\n')}</defs>`,
+            ...body,
+            '</svg>'
+        ].join('\n');
+    }
+
+    // SVG filter version of drawAssetWithEffects. It applies to a group around each placed
+    // asset, so sizes are in canvas units like the canvas effects; the outline dilates with
+    // a square kernel, which is close to the canvas' round one at sticker widths.
+    getSVGEffectsFilter(effects, id) {
+        const n = (value) => +value.toFixed(3);
+        const primitives = [];
+        let sticker = 'SourceGraphic';
+        
+        if (effects.outline) {
+            primitives.push(
+                `<feMorphology in="SourceAlpha" operator="dilate" radius="${n(effects.outline.width)}" result="outline-shape"/>`,
+                `<feFlood flood-color="${effects.outline.color}"/>`,
+                '<feComposite in2="outline-shape" operator="in" result="outline"/>',
+                '<feMerge result="sticker"><feMergeNode in="outline"/><feMergeNode in="SourceGraphic"/></feMerge>'
+            );
+            sticker = 'sticker';
+        }
         
-        // Generate filename based on settings
-        let filename = this.assets.length > 0 ? 'scattr-layout' : 'scattr-background';
-        if (transparentExport) filename += '-transparent';
-        if (exportSettings.scale !== 1) filename += `-${exportSettings.scale}x`;
-        filename += `.${exportSettings.format}`;
-        
-        // Set download properties
-        link.download = filename;
-        
-        // Generate image data based on format
-        if (exportSettings.format === 'jpg') {
-            // JPG doesn't support transparency, so fill with white if transparent was requested
-            if (transparentExport) {
-                exportCtx.globalCompositeOperation = 'destination-over';
-                exportCtx.fillStyle = '#ffffff';
-                exportCtx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-            }
-            link.href = exportCanvas.toDataURL('image/jpeg', 0.9);
+        // Canvas shadow blur is twice the Gaussian standard deviation
+        const layers = [];
+        const addShadow = (name, blur, offsetX, offsetY, color, opacity) => {
+            primitives.push(
+                `<feGaussianBlur in="${sticker}" stdDeviation="${n(blur / 2)}"/>`,
+                `<feOffset dx="${n(offsetX)}" dy="${n(offsetY)}" result="${name}-shape"/>`,
+                `<feFlood flood-color="${color}" flood-opacity="${n(opacity)}"/>`,
+                `<feComposite in2="${name}-shape" operator="in" result="${name}"/>`
+            );
+            layers.push(name);
+        };
+        if (effects.shadow) {
+            const shadow = effects.shadow;
+            addShadow('shadow', shadow.blur, shadow.offsetX, shadow.offsetY, shadow.color, shadow.opacity);
+        }
+        if (effects.glow) {
+            addShadow('glow', effects.glow.size, 0, 0, effects.glow.color, effects.glow.opacity);
+        }
+        
+        const merge = [...layers, sticker].map(layer => `<feMergeNode in="${layer}"/>`).join('');
+        return `<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%" color-interpolation-filters="sRGB">${primitives.join('')}<feMerge>${merge}</feMerge></filter>`;
+    }
+
+    // SVG filter version of getRecoloredImage, using the same brightness weights and stops
+    getSVGRecolorFilter(recolor, id) {
+        if (recolor.fill) {
+            return `<filter id="${id}" color-interpolation-filters="sRGB"><feFlood flood-color="${recolor.fill}"/><feComposite in2="SourceGraphic" operator="in"/></filter>`;
+        }
+        
+        const n = (value) => +value.toFixed(4);
+        const colors = recolor.gradient.length > 1 ? recolor.gradient : [recolor.gradient[0], recolor.gradient[0]];
+        const stops = colors.map(color => this.hexToRgb(color));
+        const table = (channel) => stops.map(rgb => n(rgb[channel] / 255)).join(' ');
+        const brightness = '0.299 0.587 0.114 0 0';
+        return `<filter id="${id}" color-interpolation-filters="sRGB">` +
+            `<feColorMatrix type="matrix" values="${brightness} ${brightness} ${brightness} 0 0 0 1 0"/>` +
+            `<feComponentTransfer><feFuncR type="table" tableValues="${table(0)}"/><feFuncG type="table" tableValues="${table(1)}"/><feFuncB type="table" tableValues="${table(2)}"/></feComponentTransfer>` +
+            '</filter>';
+    }
+
+    async downloadSVG(exportSettings) {
+        try {
+            const svg = await this.buildSVG(exportSettings);
+            
+            const link = document.createElement('a');
+            const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+            link.download = this.getExportFilename(exportSettings);
+            link.href = url;
+            
+            // Add a small delay to prevent double downloads
+            setTimeout(() => {
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+            }, 100);
+        } catch (error) {
+            console.error('Error exporting SVG:', error);
+            alert('Could not export SVG. Please try again.');
+        }
+    }
+
+    // Same background as drawBackground, written as SVG markup
+    async getSVGBackground(defs) {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const n = (value) => +value.toFixed(3);
+        
+        if (this.currentBackgroundType === 'image' && this.background) {
+            const href = await this.imageToDataURL(this.background);
+            return `<image xlink:href="${href}" x="0" y="0" width="${width}" height="${height}" preserveAspectRatio="none"/>`;
+        }
+        
+        if (this.currentBackgroundType === 'color') {
+            if (this.backgroundColorType === 'solid') {
+                const hex = document.getElementById('hex-input').value;
+                return `<rect width="${width}" height="${height}" fill="#${hex}"/>`;
+            }
+            
+            const stops = this.gradientStops || [
+                { color: '#171717', position: 0 },
+                { color: '#404040', position: 100 }
+            ];
+            const style = this.currentGradientStyle || 'linear-90';
+            const stopMarkup = stops.map((stop, index) => {
+                const position = stops.length > 1 ? index / (stops.length - 1) : 0;
+                const opacity = stop.opacity || 1.0;
+                return `<stop offset="${n(position)}" stop-color="${stop.color}" stop-opacity="${opacity}"/>`;
+            }).join('');
+            
+            // Gradient geometry mirrors the canvas gradients in drawBackground
+            if (style.startsWith('linear')) {
+                const angleRad = this.getGradientAngle(style) * Math.PI / 180;
+                const x1 = width / 2 - Math.cos(angleRad) * width / 2;
+                const y1 = height / 2 - Math.sin(angleRad) * height / 2;
+                const x2 = width / 2 + Math.cos(angleRad) * width / 2;
+                const y2 = height / 2 + Math.sin(angleRad) * height / 2;
+                defs.push(`<linearGradient id="background-gradient" gradientUnits="userSpaceOnUse" x1="${n(x1)}" y1="${n(y1)}" x2="${n(x2)}" y2="${n(y2)}">${stopMarkup}</linearGradient>`);
+            } else if (style === 'radial-center') {
+                defs.push(`<radialGradient id="background-gradient" gradientUnits="userSpaceOnUse" cx="${width / 2}" cy="${height / 2}" r="${Math.max(width, height) / 2}">${stopMarkup}</radialGradient>`);
+            } else { // radial-corner
+                defs.push(`<radialGradient id="background-gradient" gradientUnits="userSpaceOnUse" fx="0" fy="0" cx="${width}" cy="${height}" r="${Math.max(width, height)}">${stopMarkup}</radialGradient>`);
+            }
+            return `<rect width="${width}" height="${height}" fill="url(#background-gradient)"/>`;
+        }
+        
+        if (this.currentBackgroundType !== 'none') {
+            // Default fallback for image type when no background
+            return `<rect width="${width}" height="${height}" fill="#262626"/>`;
+        }
+        return '';
+    }
+
+    // SVG sources stay vector (ids prefixed so assets can't clash), text stays live text,
+    // everything else is embedded as a data URI
+    async getSVGAssetDefinition(img, id) {
+        if (img.type === 'text') {
+            const font = `'${img.font}', system-ui, sans-serif`;
+            return `<text id="${id}" x="${img.left}" y="${img.ascent}" font-family="${this.escapeXML(font)}" font-weight="${img.weight}" font-size="${img.size}" fill="${this.escapeXML(img.color)}">${this.escapeXML(img.text)}</text>`;
+        }
+        
+        const href = await this.imageToDataURL(img);
+        
+        if (href.startsWith('data:image/svg+xml')) {
+            try {
+                const text = await (await fetch(href)).text();
+                const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+                const root = doc.documentElement;
+                
+                if (root.nodeName.toLowerCase() === 'svg' && !doc.querySelector('parsererror')) {
+                    root.querySelectorAll('[id]').forEach(el => el.setAttribute('id', `${id}-${el.getAttribute('id')}`));
+                    if (!root.hasAttribute('viewBox')) {
+                        root.setAttribute('viewBox', `0 0 ${img.width} ${img.height}`);
+                    }
+                    root.setAttribute('id', id);
+                    root.setAttribute('width', img.width);
+                    root.setAttribute('height', img.height);
+                    
+                    return new XMLSerializer().serializeToString(root)
+                        .replace(/url\(\s*#/g, `url(#${id}-`)
+                        .replace(/href="#/g, `href="#${id}-`)
+                        .replace(/<\?xml[^>]*\?>/, '');
+                }
+            } catch (error) {
+                console.warn('Could not inline SVG asset, embedding it as an image instead:', error);
+            }
+        }
+        
+        return `<image id="${id}" xlink:href="${href}" width="${img.width}" height="${img.height}" preserveAspectRatio="none"/>`;
+    }
+
+    escapeXML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    // Paper sizes in millimetres, portrait
+    getPaperSizes() {
+        return {
+            a5: [148, 210],
+            a4: [210, 297],
+            a3: [297, 420],
+            a2: [420, 594],
+            letter: [215.9, 279.4],
+            legal: [215.9, 355.6],
+            tabloid: [279.4, 431.8]
+        };
+    }
+
+    // Trim size (mm), DPI, bleed and crop marks from the PDF export options
+    getPDFSettings() {
+        const paper = document.getElementById('pdf-paper').value;
+        let width, height;
+        
+        if (paper === 'custom') {
+            const unitFactor = document.getElementById('pdf-unit').value === 'in' ? 25.4 : 1;
+            width = (parseFloat(document.getElementById('pdf-width').value) || 210) * unitFactor;
+            height = (parseFloat(document.getElementById('pdf-height').value) || 297) * unitFactor;
+        } else {
+            [width, height] = this.getPaperSizes()[paper];
+            
+            let orientation = document.getElementById('pdf-orientation').value;
+            if (orientation === 'auto') {
+                orientation = this.canvas.width > this.canvas.height ? 'landscape' : 'portrait';
+            }
+            if (orientation === 'landscape') {
+                [width, height] = [height, width];
+            }
+        }
+        
+        return {
+            paper: paper,
+            width: width,
+            height: height,
+            dpi: Math.max(72, parseInt(document.getElementById('pdf-dpi').value) || 300),
+            bleed: Math.max(0, parseFloat(document.getElementById('pdf-bleed').value) || 0),
+            cropMarks: document.getElementById('pdf-crop-marks').checked
+        };
+    }
+
+    async downloadPDF(exportSettings) {
+        if (!window.jspdf) {
+            alert('PDF export is unavailable because the PDF library failed to load. Please check your connection and reload.');
+            return;
+        }
+        
+        try {
+            const doc = await this.buildPDF(exportSettings, this.getPDFSettings());
+            doc.save(this.getExportFilename(exportSettings));
+        } catch (error) {
+            console.error('Error exporting PDF:', error);
+            alert(error.message);
+        }
+    }
+
+    // Lay the artwork (trim plus bleed) out on a page, leaving a margin for crop marks
+    async buildPDF(exportSettings, pdfSettings) {
+        const { width, height, dpi, bleed, cropMarks } = pdfSettings;
+        const slug = cropMarks ? 10 : 0;
+        const artWidth = width + bleed * 2;
+        const artHeight = height + bleed * 2;
+        const pageWidth = artWidth + slug * 2;
+        const pageHeight = artHeight + slug * 2;
+        
+        // Render at print resolution
+        const pixelWidth = Math.round(artWidth / 25.4 * dpi);
+        const pixelHeight = Math.round(artHeight / 25.4 * dpi);
+        if (pixelWidth > 16384 || pixelHeight > 16384 || pixelWidth * pixelHeight > 268435456) {
+            throw new Error('This page is too large to render at the chosen DPI. Try a lower DPI or a smaller paper size.');
+        }
+        const artCanvas = await this.withSVGAssets(
+            Math.max(pixelWidth / this.canvas.width, pixelHeight / this.canvas.height),
+            () => this.renderPrintCanvas(pixelWidth, pixelHeight, exportSettings.transparent)
+        );
+        
+        const doc = new window.jspdf.jsPDF({
+            orientation: pageWidth > pageHeight ? 'landscape' : 'portrait',
+            unit: 'mm',
+            format: [pageWidth, pageHeight]
+        });
+        
+        if (exportSettings.transparent) {
+            doc.addImage(artCanvas.toDataURL('image/png'), 'PNG', slug, slug, artWidth, artHeight, undefined, 'FAST');
         } else {
-            link.href = exportCanvas.toDataURL('image/png');
+            doc.addImage(artCanvas.toDataURL('image/jpeg', 0.95), 'JPEG', slug, slug, artWidth, artHeight);
+        }
+        
+        if (cropMarks) {
+            const trimLeft = slug + bleed;
+            const trimTop = slug + bleed;
+            const trimRight = trimLeft + width;
+            const trimBottom = trimTop + height;
+            const markLength = 5;
+            const offset = bleed + 2; // Keep the marks clear of the bleed
+            
+            doc.setLineWidth(0.25);
+            doc.setDrawColor(0, 0, 0);
+            [trimLeft, trimRight].forEach(x => {
+                doc.line(x, trimTop - offset - markLength, x, trimTop - offset);
+                doc.line(x, trimBottom + offset, x, trimBottom + offset + markLength);
+            });
+            [trimTop, trimBottom].forEach(y => {
+                doc.line(trimLeft - offset - markLength, y, trimLeft - offset, y);
+                doc.line(trimRight + offset, y, trimRight + offset + markLength, y);
+            });
+        }
+        
+        return doc;
+    }
+
+    // Scale the layout to cover the whole print area, cropping evenly if the aspect ratios differ
+    renderPrintCanvas(pixelWidth, pixelHeight, transparent) {
+        const printCanvas = document.createElement('canvas');
+        const printCtx = printCanvas.getContext('2d');
+        printCanvas.width = pixelWidth;
+        printCanvas.height = pixelHeight;
+        
+        const scale = Math.max(pixelWidth / this.canvas.width, pixelHeight / this.canvas.height);
+        printCtx.translate((pixelWidth - this.canvas.width * scale) / 2, (pixelHeight - this.canvas.height * scale) / 2);
+        printCtx.scale(scale, scale);
+        
+        if (!transparent) {
+            this.drawBackground(printCtx);
+        }
+        this.drawSamples(printCtx);
+        
+        return printCanvas;
+    }
+
+    // Generate several variations with fresh seeds and zip them up with a manifest
+    async downloadBatch() {
+        if (this.assets.length === 0) {
+            alert('Please upload some assets first!');
+            return;
+        }
+        if (!window.JSZip) {
+            alert('Batch export is unavailable because the ZIP library failed to load. Please check your connection and reload.');
+            return;
+        }
+        if (this.isBatchExporting) return;
+        
+        const count = Math.min(100, Math.max(2, parseInt(document.getElementById('batch-count').value) || 10));
+        const exportSettings = { ...this.exportSettings };
+        const label = document.getElementById('batch-export-label');
+        const originalSeed = this.seed;
+        const originalSamples = this.samples;
+        const zip = new JSZip();
+        const variations = [];
+        let batchGeneration = this.layoutGeneration;
+        // Any layout change or edit the batch didn't make means the user took the canvas back
+        const interrupted = () => new Error('The batch export was interrupted by a layout change. Please try again.');
+        
+        this.isBatchExporting = true;
+        try {
+            for (let i = 0; i < count; i++) {
+                label.textContent = `Exporting ${i + 1}/${count}...`;
+                if (this.layoutGeneration !== batchGeneration) throw interrupted();
+                
+                this.setSeed(this.createSeed());
+                if (!(await this.generateLayout({ recordHistory: false }))) throw interrupted();
+                batchGeneration = this.layoutGeneration;
+                
+                const filename = `scattr-${String(i + 1).padStart(2, '0')}-seed-${this.seed}.${exportSettings.format}`;
+                const blob = await this.renderExportBlob(exportSettings);
+                if (this.layoutGeneration !== batchGeneration) throw interrupted();
+                zip.file(filename, blob);
+                variations.push({ file: filename, seed: this.seed, items: this.samples.length });
+                
+                // Let the UI update between variations
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            
+            zip.file('manifest.json', JSON.stringify({
+                app: 'scattr',
+                version: 1,
+                createdAt: new Date().toISOString(),
+                settings: this.getSettings(),
+                exportSettings: exportSettings,
+                variations: variations
+            }, null, 2));
+            
+            const blob = await zip.generateAsync({ type: 'blob' });
+            const link = document.createElement('a');
+            const url = URL.createObjectURL(blob);
+            link.download = `scattr-batch-${count}.zip`;
+            link.href = url;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.error('Error exporting batch:', error);
+            alert(error.message || 'Could not export the batch. Please try again.');
+        } finally {
+            // Put the layout the user was looking at back, unless they changed it while the batch ran
+            if (this.layoutGeneration === batchGeneration) {
+                this.setSeed(originalSeed);
+                this.samples = originalSamples;
+                this.renderCanvas();
+            }
+            label.textContent = 'Download ZIP';
+            this.isBatchExporting = false;
+        }
+    }
+
+    async downloadAnimation() {
+        if (!this.isGenerated || this.samples.length === 0) {
+            alert('Please generate a layout first!');
+            return;
+        }
+        if (this.isAnimationExporting) return;
+        
+        const animation = this.getAnimationSettings();
+        if (animation.format === 'gif' && !window.GIF) {
+            alert('GIF export is unavailable because the GIF library failed to load. Please check your connection and reload.');
+            return;
+        }
+        if (animation.format === 'webm' && !this.getWebMMimeType()) {
+            alert('This browser cannot record WebM video. Please try GIF instead.');
+            return;
+        }
+        
+        const label = document.getElementById('animation-export-label');
+        // Later edits shouldn't change an animation that's already being made, and dragging
+        // moves items in place, so copy each one
+        const samples = this.samples.map(sample => ({ ...sample }));
+        
+        this.isAnimationExporting = true;
+        try {
+            const blob = await this.withSVGAssets(1, () => animation.format === 'gif'
+                ? this.encodeGIF(samples, animation, (text) => { label.textContent = text; })
+                : this.recordWebM(samples, animation, (text) => { label.textContent = text; }));
+            
+            const link = document.createElement('a');
+            const url = URL.createObjectURL(blob);
+            link.download = `scattr-animation.${animation.format}`;
+            link.href = url;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.error('Error exporting animation:', error);
+            alert('Could not export the animation. Please try again.');
+        } finally {
+            label.textContent = 'Download Animation';
+            this.isAnimationExporting = false;
+        }
+    }
+
+    getAnimationSettings() {
+        const format = document.getElementById('animation-format').value;
+        const duration = parseFloat(document.getElementById('animation-duration').value) || 3;
+        const fps = Math.min(30, Math.max(5, parseInt(document.getElementById('animation-fps').value) || 20));
+        return {
+            format: format,
+            entrance: document.getElementById('animation-entrance').value,
+            motion: document.getElementById('animation-motion').value,
+            duration: Math.min(15, Math.max(1, duration)),
+            fps: format === 'gif' ? this.getGIFFrameRate(fps) : fps,
+            transparent: this.exportSettings.transparent
+        };
+    }
+
+    // The items as they are at a point in time. Entrances run in placement order over
+    // the first 60% of the animation; loop motion repeats once per animation, with each
+    // item's tone as its phase, so the last frame leads seamlessly into the first.
+    getAnimationFrame(samples, time, animation) {
+        const entranceTime = animation.duration * 0.6;
+        const itemTime = Math.min(0.5, entranceTime / 2);
+        const stagger = samples.length > 1 ? (entranceTime - itemTime) / (samples.length - 1) : 0;
+        const cycle = time / animation.duration * Math.PI * 2;
+        const amplitude = Math.max(this.canvas.width, this.canvas.height) * 0.006;
+        const frame = [];
+        
+        samples.forEach((sample, index) => {
+            const progress = animation.entrance === 'none' ? 1 : Math.min(1, (time - index * stagger) / itemTime);
+            if (progress <= 0) return;
+            
+            const item = { ...sample };
+            const phase = (sample.tone || 0) * Math.PI * 2;
+            if (animation.motion === 'drift') {
+                item.x += Math.sin(cycle + phase) * amplitude;
+                item.y += Math.cos(cycle + phase) * amplitude;
+            } else if (animation.motion === 'rotate') {
+                item.rotation = (item.rotation || 0) + Math.sin(cycle + phase) * Math.PI / 30;
+            }
+            
+            const opacity = item.opacity !== undefined ? item.opacity : 1;
+            if (animation.entrance === 'pop') {
+                // Ease out with a little overshoot
+                const back = 1.70158;
+                const overshoot = 1 + (back + 1) * Math.pow(progress - 1, 3) + back * Math.pow(progress - 1, 2);
+                item.scale = (item.scale || 1) * Math.max(0.001, overshoot);
+            } else if (animation.entrance === 'fade') {
+                item.opacity = opacity * progress;
+            } else if (animation.entrance === 'fall') {
+                item.y -= Math.pow(1 - progress, 3) * this.canvas.height * 0.25;
+                item.opacity = opacity * Math.min(1, progress * 2);
+            }
+            frame.push(item);
+        });
+        return frame;
+    }
+
+    renderAnimationFrame(ctx, samples, time, animation) {
+        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        if (!animation.transparent) {
+            this.drawBackground(ctx);
+        }
+        this.drawSamples(ctx, this.getAnimationFrame(samples, time, animation));
+    }
+
+    async encodeGIF(samples, animation, onProgress) {
+        // Browsers won't start a worker from another origin, so load it through a blob URL
+        const workerResponse = await fetch('https://cdnjs.cloudflare.com/ajax/libs/gif.js/0.2.0/gif.worker.js');
+        if (!workerResponse.ok) {
+            throw new Error(`Could not load the GIF encoder (HTTP ${workerResponse.status})`);
+        }
+        const workerScript = URL.createObjectURL(await workerResponse.blob());
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = this.canvas.width;
+        canvas.height = this.canvas.height;
+        const ctx = canvas.getContext('2d');
+        
+        // GIF transparency is one palette color, so see-through pixels are keyed to magenta
+        const keyColor = 0xff00ff;
+        const gif = new GIF({
+            workers: 2,
+            quality: 10,
+            width: canvas.width,
+            height: canvas.height,
+            workerScript: workerScript,
+            repeat: 0,
+            transparent: animation.transparent ? keyColor : null
+        });
+        
+        // GIF delays are whole hundredths of a second, the frame rate divides 100 so none are rounded
+        const delay = 1000 / animation.fps;
+        const frameCount = Math.round(animation.duration * animation.fps);
+        for (let i = 0; i < frameCount; i++) {
+            onProgress(`Rendering ${i + 1}/${frameCount}...`);
+            this.renderAnimationFrame(ctx, samples, i / animation.fps, animation);
+            if (animation.transparent) {
+                this.keyOutTransparency(ctx, keyColor);
+            }
+            gif.addFrame(ctx, { copy: true, delay: delay });
+            
+            // Let the UI update between frames
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        
+        return new Promise((resolve, reject) => {
+            // Errors inside gif.js workers never reach us, so give up once progress stalls
+            let stallTimer = null;
+            const watchForStall = () => {
+                clearTimeout(stallTimer);
+                stallTimer = setTimeout(() => {
+                    gif.abort();
+                    settle(() => reject(new Error('GIF encoding stopped responding')));
+                }, 30000);
+            };
+            const settle = (callback) => {
+                if (!stallTimer) return;
+                clearTimeout(stallTimer);
+                stallTimer = null;
+                URL.revokeObjectURL(workerScript);
+                callback();
+            };
+            
+            gif.on('progress', (progress) => {
+                watchForStall();
+                onProgress(`Encoding ${Math.round(progress * 100)}%...`);
+            });
+            gif.on('finished', (blob) => settle(() => resolve(blob)));
+            gif.on('abort', () => settle(() => reject(new Error('GIF encoding was aborted'))));
+            
+            watchForStall();
+            try {
+                gif.render();
+            } catch (error) {
+                settle(() => reject(error));
+            }
+        });
+    }
+
+    // GIF frame rates that divide 100, so each frame's delay is a whole hundredth of a second
+    getGIFFrameRate(fps) {
+        return [5, 10, 20, 25].reduce((best, rate) => Math.abs(rate - fps) < Math.abs(best - fps) ? rate : best);
+    }
+
+    // Half-transparent pixels snap to fully opaque or to the key color
+    keyOutTransparency(ctx, keyColor) {
+        const imageData = ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height);
+        const data = imageData.data;
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < 128) {
+                data[i] = (keyColor >> 16) & 255;
+                data[i + 1] = (keyColor >> 8) & 255;
+                data[i + 2] = keyColor & 255;
+            }
+            data[i + 3] = 255;
+        }
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    getWebMMimeType() {
+        if (typeof MediaRecorder === 'undefined') return null;
+        return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    // MediaRecorder timestamps frames as they arrive, so they're drawn in real time
+    async recordWebM(samples, animation, onProgress) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.canvas.width;
+        canvas.height = this.canvas.height;
+        const ctx = canvas.getContext('2d');
+        
+        const stream = canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const recorder = new MediaRecorder(stream, { mimeType: this.getWebMMimeType(), videoBitsPerSecond: 8000000 });
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+        
+        const frameCount = Math.round(animation.duration * animation.fps);
+        const frameTime = 1000 / animation.fps;
+        recorder.start();
+        const start = performance.now();
+        for (let i = 0; i < frameCount; i++) {
+            onProgress(`Recording ${i + 1}/${frameCount}...`);
+            this.renderAnimationFrame(ctx, samples, i / animation.fps, animation);
+            track.requestFrame();
+            
+            const wait = start + (i + 1) * frameTime - performance.now();
+            await new Promise(resolve => setTimeout(resolve, Math.max(0, wait)));
+        }
+        recorder.stop();
+        await stopped;
+        stream.getTracks().forEach(streamTrack => streamTrack.stop());
+        
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+
+    // Encode the current layout through the same path as a single export
+    async renderExportBlob(exportSettings) {
+        if (exportSettings.format === 'svg') {
+            return new Blob([await this.buildSVG(exportSettings)], { type: 'image/svg+xml' });
+        }
+        if (exportSettings.format === 'pdf') {
+            if (!window.jspdf) {
+                throw new Error('PDF export is unavailable because the PDF library failed to load. Please check your connection and reload.');
+            }
+            return (await this.buildPDF(exportSettings, this.getPDFSettings())).output('blob');
+        }
+        return this.withSVGAssets(exportSettings.scale, () => {
+            return this.encodeExportCanvas(this.renderExportCanvas(exportSettings), exportSettings);
+        });
+    }
+
+    getExportFilename(exportSettings) {
+        let filename = this.assets.length > 0 ? 'scattr-layout' : 'scattr-background';
+        if (exportSettings.transparent) filename += '-transparent';
+        if (exportSettings.format === 'pdf') {
+            filename += `-${this.getPDFSettings().paper}`;
+        } else if (exportSettings.scale !== 1) {
+            filename += `-${exportSettings.scale}x`;
+        }
+        return `${filename}.${exportSettings.format}`;
+    }
+
+    setupProjectControls() {
+        const projectUpload = document.getElementById('project-upload');
+        
+        document.getElementById('save-project-btn').addEventListener('click', () => this.saveProject());
+        document.getElementById('open-project-btn').addEventListener('click', () => projectUpload.click());
+        
+        projectUpload.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                await this.openProject(file);
+            }
+            // Allow opening the same file again
+            e.target.value = '';
+        });
+    }
+
+    // Sidebar inputs that make up the layout settings of a project
+    getSettingInputIds() {
+        return [
+            'canvas-width', 'canvas-height', 'resize-mode',
+            'min-distance', 'fill-density', 'asset-size',
+            'random-rotation', 'rotation-min', 'rotation-max',
+            'random-scale', 'scale-min', 'scale-max',
+            'random-opacity', 'opacity-min', 'opacity-max',
+            'unique-assets', 'shape-aware', 'tileable',
+            'density-falloff', 'density-strength', 'density-invert',
+            'outline-enabled', 'outline-width', 'outline-color',
+            'shadow-enabled', 'shadow-offset-x', 'shadow-offset-y', 'shadow-blur', 'shadow-color', 'shadow-opacity',
+            'glow-enabled', 'glow-size', 'glow-color', 'glow-opacity',
+            'blend-mode', 'item-opacity',
+            'recolor-mode', 'recolor-tint'
+        ];
+    }
+
+    getSettings() {
+        const settings = {};
+        this.getSettingInputIds().forEach(id => {
+            const input = document.getElementById(id);
+            settings[id] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+        return settings;
+    }
+
+    applySettings(settings) {
+        this.getSettingInputIds().forEach(id => {
+            if (!(id in settings)) return;
+            const input = document.getElementById(id);
+            if (input.type === 'checkbox') {
+                input.checked = !!settings[id];
+            } else {
+                input.value = settings[id];
+            }
+        });
+        
+        // Sync the dependent UI with the restored values
+        document.getElementById('rotation-controls').classList.toggle('hidden', !document.getElementById('random-rotation').checked);
+        document.getElementById('scale-controls').classList.toggle('hidden', !document.getElementById('random-scale').checked);
+        document.getElementById('opacity-controls').classList.toggle('hidden', !document.getElementById('random-opacity').checked);
+        this.updateSpacingDisplay(parseInt(document.getElementById('min-distance').value));
+        this.updateFillDensityDisplay(parseInt(document.getElementById('fill-density').value));
+        this.updateAssetSizeDisplay(parseInt(document.getElementById('asset-size').value));
+        this.updateUniqueAssetsUI(document.getElementById('unique-assets').checked);
+        this.updateTileableUI();
+        this.updateDensityUI();
+        this.updateEffectsUI();
+        this.updateRecolorUI();
+        
+        const width = parseInt(document.getElementById('canvas-width').value);
+        const height = parseInt(document.getElementById('canvas-height').value);
+        if (width !== this.canvas.width || height !== this.canvas.height) {
+            this.updateCanvasSize();
+        }
+    }
+
+    getBackgroundState() {
+        return {
+            type: this.currentBackgroundType,
+            colorType: this.backgroundColorType,
+            solidColor: document.getElementById('hex-input').value,
+            gradientStops: this.gradientStops.map(stop => ({ ...stop })),
+            gradientStyle: this.currentGradientStyle,
+            image: this.background
+        };
+    }
+
+    applyBackgroundState(state) {
+        // Image background
+        this.background = state.image || null;
+        if (this.background) {
+            this.showBackgroundPreview(this.background);
+        } else {
+            document.getElementById('bg-preview').classList.add('hidden');
+        }
+        
+        // Solid color
+        document.getElementById('hex-input').value = state.solidColor || 'ffffff';
+        this.updatePickerFromColor();
+        
+        // Gradient (restore stops after switching type, switching would derive new ones)
+        this.setColorType(state.colorType || 'solid', false);
+        if (state.gradientStops && state.gradientStops.length > 0) {
+            this.gradientStops = state.gradientStops.map(stop => ({ ...stop }));
+        }
+        this.currentGradientStyle = state.gradientStyle || 'linear-90';
+        this.renderGradientStops();
+        this.updateGradientStyleSelection();
+        this.updateAllGradientPreviews();
+        
+        this.switchBackgroundTab(state.type || 'color');
+    }
+
+    // Samples reference assets by index so they can be stored outside the app
+    serializeSamples(samples = this.samples) {
+        return samples.map(sample => ({
+            asset: this.assets.indexOf(sample.asset.image),
+            x: sample.x,
+            y: sample.y,
+            rotation: sample.rotation || 0,
+            scale: sample.scale || 1,
+            tone: sample.tone || 0,
+            opacity: sample.opacity !== undefined ? sample.opacity : 1,
+            edited: sample.edited || false,
+            scaleFactor: sample.scaleFactor || 1
+        }));
+    }
+
+    restoreSamples(data) {
+        const assetPool = this.prepareAssetPool();
+        return data
+            .filter(item => assetPool[item.asset])
+            .map((item, index) => ({
+                x: item.x,
+                y: item.y,
+                asset: assetPool[item.asset],
+                rotation: item.rotation,
+                scale: item.scale,
+                // Older projects have no tones, spread them by golden ratio steps instead
+                tone: item.tone !== undefined ? item.tone : (index * 0.618034) % 1,
+                opacity: item.opacity !== undefined ? item.opacity : 1,
+                edited: item.edited || false,
+                scaleFactor: item.scaleFactor || 1
+            }));
+    }
+
+    renderAssetPreviews() {
+        const preview = document.getElementById('asset-preview');
+        preview.innerHTML = '';
+        this.assets.forEach(img => this.showAssetPreview(img));
+        preview.classList.toggle('hidden', this.assets.length === 0);
+    }
+
+    async saveProject() {
+        try {
+            const background = this.getBackgroundState();
+            const project = {
+                app: 'scattr',
+                version: 1,
+                settings: this.getSettings(),
+                seed: this.seed,
+                seedLocked: this.seedLocked,
+                background: {
+                    ...background,
+                    image: background.image ? await this.imageToDataURL(background.image) : null
+                },
+                assets: await Promise.all(this.assets.map(img => this.serializeAsset(img))),
+                assetSettings: this.assets.map(img => this.getAssetSettings(img)),
+                assetCleanups: await Promise.all(this.assets.map(async img => {
+                    const cleanup = this.assetCleanups.get(img);
+                    if (!cleanup) return null;
+                    // Nothing to crop or clear leaves the asset itself as the original
+                    return { ...cleanup, original: cleanup.original === img ? null : await this.imageToDataURL(cleanup.original) };
+                })),
+                mask: this.mask ? this.mask.toDataURL('image/png') : null,
+                densityMap: this.densityMap ? this.densityMap.toDataURL('image/png') : null,
+                recolorPalette: this.recolorPalette,
+                samples: this.isGenerated ? this.serializeSamples() : null
+            };
+            
+            const blob = new Blob([JSON.stringify(project)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.download = 'scattr-project.scattr';
+            link.href = URL.createObjectURL(blob);
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        } catch (error) {
+            console.error('Error saving project:', error);
+            alert('Could not save the project.');
+        }
+    }
+
+    async openProject(file) {
+        try {
+            const project = JSON.parse(await file.text());
+            if (project.app !== 'scattr' || !Array.isArray(project.assets)) {
+                throw new Error('Not a scattr project file');
+            }
+            
+            // Restore assets first, samples and settings refer to them
+            this.selectSample(null);
+            this.assets = await Promise.all(project.assets.map(data => this.deserializeAsset(data)));
+            (project.assetSettings || []).forEach((settings, index) => {
+                if (settings && this.assets[index]) {
+                    this.assetSettings.set(this.assets[index], { ...this.getDefaultAssetSettings(), ...settings });
+                }
+            });
+            await Promise.all((project.assetCleanups || []).map(async (cleanup, index) => {
+                const img = this.assets[index];
+                if (!cleanup || !img) return;
+                this.assetCleanups.set(img, {
+                    original: cleanup.original ? await this.loadImageFromURL(cleanup.original) : img,
+                    trim: !!cleanup.trim,
+                    removeBackground: !!cleanup.removeBackground
+                });
+            }));
+            this.refreshAssetSettingsPanel();
+            this.renderAssetPreviews();
+            
+            this.applySettings(project.settings || {});
+            this.seedLocked = !!project.seedLocked;
+            this.setSeed(project.seed || 0);
+            
+            const background = project.background || {};
+            this.applyBackgroundState({
+                ...background,
+                image: background.image ? await this.loadImageFromURL(background.image) : null
+            });
+            
+            if (project.mask) {
+                const maskImage = await this.loadImageFromURL(project.mask);
+                this.setMask(this.createMaskCanvas(maskImage.width, maskImage.height, maskImage));
+            } else {
+                this.setMask(null);
+            }
+            
+            if (project.densityMap) {
+                const mapImage = await this.loadImageFromURL(project.densityMap);
+                const mapCanvas = document.createElement('canvas');
+                mapCanvas.width = mapImage.width;
+                mapCanvas.height = mapImage.height;
+                mapCanvas.getContext('2d').drawImage(mapImage, 0, 0);
+                this.setDensityMap(mapCanvas);
+            } else {
+                this.setDensityMap(null);
+            }
+            this.setRecolorPalette(project.recolorPalette);
+            
+            this.cancelLayout();
+            if (project.samples) {
+                this.samples = this.restoreSamples(project.samples);
+                this.isGenerated = true;
+            } else {
+                this.samples = [];
+                this.isGenerated = false;
+            }
+            this.renderCanvas();
+            this.recordHistory('Open project');
+        } catch (error) {
+            console.error('Error opening project:', error);
+            alert('Could not open this project file.');
+        }
+    }
+
+    // Images are stored as data URLs, text assets by their text and font options
+    serializeAsset(asset) {
+        if (asset.type === 'text') {
+            const { type, text, font, weight, color, size } = asset;
+            return Promise.resolve({ type, text, font, weight, color, size });
+        }
+        return this.imageToDataURL(asset);
+    }
+
+    async deserializeAsset(data) {
+        if (data && data.type === 'text') {
+            return this.createTextAsset(data);
+        }
+        if (data.startsWith('data:image/svg+xml')) {
+            return this.loadSVGImage(await (await fetch(data)).text());
+        }
+        return this.loadImageFromURL(data);
+    }
+
+    async imageToDataURL(img) {
+        if (img.src.startsWith('data:')) {
+            return img.src;
+        }
+        
+        // Read back the original file so the project embeds it untouched
+        const response = await fetch(img.src);
+        const blob = await response.blob();
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = reject;
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    setupHistoryControls() {
+        this.history = [];
+        this.historyIndex = -1;
+        this.isRestoringHistory = false;
+        
+        document.getElementById('undo-btn').addEventListener('click', () => this.undo());
+        document.getElementById('redo-btn').addEventListener('click', () => this.redo());
+        
+        // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y), text fields keep their native undo
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.target.matches('input[type="text"], input[type="number"], textarea')) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+    }
+
+    captureState() {
+        return {
+            assets: [...this.assets],
+            assetSettings: this.assets.map(img => this.getAssetSettings(img)),
+            settings: this.getSettings(),
+            seed: this.seed,
+            background: this.getBackgroundState(),
+            mask: this.mask,
+            densityMap: this.densityMap,
+            recolorPalette: this.recolorPalette,
+            samples: this.isGenerated ? this.serializeSamples() : null
+        };
+    }
+
+    // Record the current state. Continuous edits (slider drags, color picking) pass
+    // coalesce so repeated changes with the same label collapse into a single entry.
+    // Discrete actions like clicks and toggles always get their own entry.
+    recordHistory(label, options = {}) {
+        this.layoutGeneration++;
+        if (this.isRestoringHistory || !this.history) return;
+        
+        // Any other change ends a run of resizes
+        if (this.resizeBase && this.resizeBase.historyLabel !== label) {
+            this.resizeBase = null;
+        }
+        
+        const now = Date.now();
+        const last = this.history[this.historyIndex];
+        const isLatest = this.historyIndex === this.history.length - 1;
+        
+        if (options.coalesce && last && isLatest && last.label === label && now - last.time < 1500) {
+            last.state = this.captureState();
+            last.time = now;
+        } else {
+            // Drop any redo entries and add the new one
+            this.history.splice(this.historyIndex + 1);
+            this.history.push({ label, state: this.captureState(), time: now });
+            
+            const maxEntries = 50;
+            if (this.history.length > maxEntries) {
+                this.history.splice(0, this.history.length - maxEntries);
+            }
+            this.historyIndex = this.history.length - 1;
+        }
+        
+        this.renderHistoryList();
+    }
+
+    restoreState(state) {
+        this.layoutGeneration++;
+        this.isRestoringHistory = true;
+        this.selectSample(null);
+        
+        // Restore the asset list along with each asset's own settings
+        this.assets = [...state.assets];
+        state.assets.forEach((img, index) => this.assetSettings.set(img, state.assetSettings[index]));
+        this.refreshAssetSettingsPanel();
+        this.renderAssetPreviews();
+        
+        this.applySettings(state.settings);
+        this.setSeed(state.seed);
+        this.applyBackgroundState(state.background);
+        this.setMask(state.mask || null);
+        this.setDensityMap(state.densityMap || null);
+        this.setRecolorPalette(state.recolorPalette);
+        
+        // A layout still being generated belongs to the state we're leaving
+        this.cancelLayout();
+        if (state.samples) {
+            this.samples = this.restoreSamples(state.samples);
+            this.isGenerated = true;
+        } else {
+            this.samples = [];
+            this.isGenerated = false;
+        }
+        this.renderCanvas();
+        
+        this.isRestoringHistory = false;
+    }
+
+    goToHistory(index) {
+        if (index < 0 || index >= this.history.length || index === this.historyIndex) return;
+        this.historyIndex = index;
+        this.restoreState(this.history[index].state);
+        this.renderHistoryList();
+    }
+
+    undo() {
+        this.goToHistory(this.historyIndex - 1);
+    }
+
+    redo() {
+        this.goToHistory(this.historyIndex + 1);
+    }
+
+    renderHistoryList() {
+        const list = document.getElementById('history-list');
+        list.innerHTML = '';
+        
+        // Newest entries on top
+        for (let index = this.history.length - 1; index >= 0; index--) {
+            const entry = this.history[index];
+            const item = document.createElement('button');
+            item.className = 'w-full text-left px-3 py-1.5 text-sm rounded transition-colors';
+            if (index === this.historyIndex) {
+                item.classList.add('bg-blue-600', 'text-white');
+            } else if (index > this.historyIndex) {
+                item.classList.add('text-neutral-500', 'hover:bg-neutral-700');
+            } else {
+                item.classList.add('text-neutral-300', 'hover:bg-neutral-700');
+            }
+            item.textContent = entry.label;
+            item.addEventListener('click', () => this.goToHistory(index));
+            list.appendChild(item);
+        }
+        
+        document.getElementById('undo-btn').disabled = this.historyIndex <= 0;
+        document.getElementById('redo-btn').disabled = this.historyIndex >= this.history.length - 1;
+    }
+
+    setupCollapsibleSections() {
+        // --- Define which section should be open by default (only one allowed) ---
+        const defaultOpenSection = 'upload';
+
+        const headers = document.querySelectorAll('.settings-header');
+        
+        // Helper function to collapse a section with animation
+        const collapseSection = (content, chevron) => {
+            const sectionHeight = content.scrollHeight;
+            content.style.maxHeight = sectionHeight + 'px';
+            content.classList.remove('expanded');
+            
+            // Force reflow
+            content.offsetHeight;
+            
+            // Start collapse animation
+            content.classList.add('collapsed');
+            chevron.style.transform = 'rotate(0deg)';
+            
+            // After animation completes, add hidden class
+            setTimeout(() => {
+                content.classList.add('hidden');
+                content.style.maxHeight = '';
+            }, 300);
+        };
+        
+        // Helper function to expand a section with animation
+        const expandSection = (content, chevron) => {
+            content.classList.remove('hidden', 'collapsed');
+            
+            // Get the natural height
+            const sectionHeight = content.scrollHeight;
+            content.style.maxHeight = '0px';
+            
+            // Force reflow
+            content.offsetHeight;
+            
+            // Start expand animation
+            content.style.maxHeight = sectionHeight + 'px';
+            content.classList.add('expanded');
+            chevron.style.transform = 'rotate(180deg)';
+            
+            // After animation completes, remove max-height
+            setTimeout(() => {
+                content.style.maxHeight = '';
+            }, 300);
+        };
+        
+        headers.forEach(header => {
+            const sectionName = header.dataset.section;
+            const content = header.nextElementSibling;
+            const chevron = header.querySelector('[data-lucide="chevron-down"]');
+
+            // Set the initial state - only the default section is open
+            if (sectionName === defaultOpenSection) {
+                content.classList.remove('hidden');
+                content.classList.add('expanded');
+                chevron.style.transform = 'rotate(180deg)';
+            } else {
+                content.classList.add('hidden', 'collapsed');
+                chevron.style.transform = 'rotate(0deg)';
+            }
+
+            // Add the click event listener
+            header.addEventListener('click', (e) => {
+                e.preventDefault();
+                
+                const isExpanded = content.classList.contains('expanded');
+                
+                if (isExpanded) {
+                    // Close this section
+                    collapseSection(content, chevron);
+                } else {
+                    // Close all other sections first
+                    headers.forEach(otherHeader => {
+                        if (otherHeader !== header) {
+                            const otherContent = otherHeader.nextElementSibling;
+                            const otherChevron = otherHeader.querySelector('[data-lucide="chevron-down"]');
+                            if (otherContent.classList.contains('expanded')) {
+                                collapseSection(otherContent, otherChevron);
+                            }
+                        }
+                    });
+                    
+                    // Then open this section after a short delay to allow other sections to close
+                    setTimeout(() => {
+                        expandSection(content, chevron);
+                    }, 100);
+                }
+            });
+        });
+    }
+
+    setupExportDropdown() {
+        // Export dropdown state
+        this.exportSettings = {
+            format: 'png',
+            scale: 2,
+            transparent: false,
+            quality: 0.9,
+            lossless: false
+        };
+
+        // Get DOM elements
+        const exportBtn = document.getElementById('export-btn');
+        const exportSettingsBtn = document.getElementById('export-settings-btn');
+        const exportDropdown = document.getElementById('export-dropdown');
+        const chevronIcon = exportSettingsBtn.querySelector('[data-lucide="chevron-down"]');
+
+        // Remove any existing event listeners by cloning and replacing
+        const newExportBtn = exportBtn.cloneNode(true);
+        exportBtn.parentNode.replaceChild(newExportBtn, exportBtn);
+        
+        const newSettingsBtn = exportSettingsBtn.cloneNode(true);
+        exportSettingsBtn.parentNode.replaceChild(newSettingsBtn, exportSettingsBtn);
+
+        // Main export button - direct export (single click handler)
+        newExportBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.downloadImage(this.exportSettings);
+        });
+
+        // Export settings button toggle
+        newSettingsBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            
+            const isVisible = !exportDropdown.classList.contains('hidden');
+            
+            if (isVisible) {
+                exportDropdown.classList.add('hidden');
+                chevronIcon.style.transform = 'rotate(0deg)';
+            } else {
+                exportDropdown.classList.remove('hidden');
+                chevronIcon.style.transform = 'rotate(180deg)';
+                this.scheduleExportEstimate();
+            }
+        });
+
+        // Close dropdown when clicking outside
+        document.addEventListener('click', (e) => {
+            const exportSection = document.getElementById('export-dropdown').closest('.relative');
+            if (!exportSection.contains(e.target)) {
+                exportDropdown.classList.add('hidden');
+                chevronIcon.style.transform = 'rotate(0deg)';
+            }
+        });
+
+        // Format selection
+        document.querySelectorAll('.export-format-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                
+                // Update active state
+                document.querySelectorAll('.export-format-btn').forEach(b => {
+                    b.classList.remove('active', 'bg-blue-600');
+                    b.classList.add('bg-neutral-700', 'hover:bg-neutral-600');
+                });
+                btn.classList.add('active', 'bg-blue-600');
+                btn.classList.remove('bg-neutral-700', 'hover:bg-neutral-600');
+                
+                // Update setting
+                this.exportSettings.format = btn.dataset.format;
+                this.updateExportOptionsUI();
+                this.scheduleExportEstimate();
+            });
+        });
+
+        // Hide formats this browser can't encode
+        const supportedFormats = this.getSupportedExportFormats();
+        document.querySelectorAll('.export-format-btn').forEach(btn => {
+            if (!supportedFormats.has(btn.dataset.format)) {
+                btn.classList.add('hidden');
+            }
+        });
+
+        // Quality slider for lossy formats
+        const qualitySlider = document.getElementById('export-quality');
+        qualitySlider.addEventListener('input', () => {
+            document.getElementById('export-quality-value').textContent = qualitySlider.value;
+            this.exportSettings.quality = parseInt(qualitySlider.value) / 100;
+            this.scheduleExportEstimate();
+        });
+
+        // Batch export of several variations
+        document.getElementById('batch-export-btn').addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.downloadBatch();
+        });
+
+        // Animated GIF/WebM export
+        document.getElementById('animation-export-btn').addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.downloadAnimation();
+        });
+        
+        // Show the frame rate a GIF will really play at
+        ['animation-format', 'animation-fps'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                document.getElementById('animation-fps').value = this.getAnimationSettings().fps;
+            });
+        });
+
+        // Custom paper size fields
+        document.getElementById('pdf-paper').addEventListener('change', () => this.updateExportOptionsUI());
+
+        // Lossless WebP
+        document.getElementById('export-lossless').addEventListener('change', (e) => {
+            this.exportSettings.lossless = e.target.checked;
+            this.updateExportOptionsUI();
+            this.scheduleExportEstimate();
+        });
+
+        // Size selection
+        document.querySelectorAll('.export-size-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                
+                // Update active state
+                document.querySelectorAll('.export-size-btn').forEach(b => {
+                    b.classList.remove('active', 'bg-blue-600');
+                    b.classList.add('bg-neutral-700', 'hover:bg-neutral-600');
+                });
+                btn.classList.add('active', 'bg-blue-600');
+                btn.classList.remove('bg-neutral-700', 'hover:bg-neutral-600');
+                
+                // Update setting
+                this.exportSettings.scale = parseFloat(btn.dataset.scale);
+                this.scheduleExportEstimate();
+            });
+        });
+
+        // Transparent background toggle
+        const transparentCheckbox = document.getElementById('export-transparent');
+        transparentCheckbox.addEventListener('change', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.exportSettings.transparent = transparentCheckbox.checked;
+            this.scheduleExportEstimate();
+        });
+
+
+    }
+
+    // Show quality and lossless options only where they apply
+    updateExportOptionsUI() {
+        document.getElementById('export-quality-controls').classList.toggle('hidden', !this.isLossyExport(this.exportSettings));
+        document.getElementById('export-lossless-option').classList.toggle('hidden', this.exportSettings.format !== 'webp');
+        document.getElementById('export-pdf-controls').classList.toggle('hidden', this.exportSettings.format !== 'pdf');
+        document.getElementById('pdf-custom-size').classList.toggle('hidden', document.getElementById('pdf-paper').value !== 'custom');
+        
+        // PDFs are sized by paper and DPI instead of a scale factor
+        document.getElementById('export-scale-controls').classList.toggle('hidden', this.exportSettings.format === 'pdf');
+    }
+
+    setupEffectsControls() {
+        this.stickerCache = new WeakMap(); // Outlined stickers, keyed by source image
+        
+        ['outline-enabled', 'shadow-enabled', 'glow-enabled'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.applyEffectsChange('Toggle sticker effect'));
+        });
+        ['outline-width', 'outline-color', 'shadow-offset-x', 'shadow-offset-y', 'shadow-blur',
+            'shadow-color', 'shadow-opacity', 'glow-size', 'glow-color', 'glow-opacity'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.applyEffectsChange('Change sticker effects', { coalesce: true }));
+        });
+        document.getElementById('blend-mode').addEventListener('change', () => this.applyEffectsChange('Change blend mode'));
+        document.getElementById('item-opacity').addEventListener('input', () => this.applyEffectsChange('Change opacity', { coalesce: true }));
+    }
+
+    // Effects and blending are only drawn, so there's no need to regenerate the layout
+    applyEffectsChange(historyLabel, historyOptions = {}) {
+        this.updateEffectsUI();
+        this.renderCanvas();
+        this.recordHistory(historyLabel, historyOptions);
+    }
+
+    updateEffectsUI() {
+        ['outline', 'shadow', 'glow'].forEach(effect => {
+            const enabled = document.getElementById(`${effect}-enabled`).checked;
+            document.getElementById(`${effect}-controls`).classList.toggle('hidden', !enabled);
+        });
+        document.getElementById('item-opacity-value').textContent = `${document.getElementById('item-opacity').value}%`;
+        document.getElementById('outline-width-value').textContent = `${document.getElementById('outline-width').value}px`;
+        document.getElementById('shadow-opacity-value').textContent = `${document.getElementById('shadow-opacity').value}%`;
+        document.getElementById('glow-size-value').textContent = `${document.getElementById('glow-size').value}px`;
+        document.getElementById('glow-opacity-value').textContent = `${document.getElementById('glow-opacity').value}%`;
+    }
+
+    // The enabled effects with sizes in canvas pixels, or null when there are none. The asset
+    // settings panel has the same controls with an 'asset-' prefix.
+    getEffectSettings(prefix = '') {
+        const control = (id) => document.getElementById(prefix + id);
+        const number = (id) => parseFloat(control(id).value) || 0;
+        const effects = {
+            outline: control('outline-enabled').checked && number('outline-width') > 0 ? {
+                width: number('outline-width'),
+                color: control('outline-color').value
+            } : null,
+            shadow: control('shadow-enabled').checked ? {
+                offsetX: number('shadow-offset-x'),
+                offsetY: number('shadow-offset-y'),
+                blur: Math.max(0, number('shadow-blur')),
+                color: control('shadow-color').value,
+                opacity: Math.min(100, Math.max(0, number('shadow-opacity'))) / 100
+            } : null,
+            glow: control('glow-enabled').checked ? {
+                size: Math.max(0, number('glow-size')),
+                color: control('glow-color').value,
+                opacity: Math.min(100, Math.max(0, number('glow-opacity'))) / 100
+            } : null
+        };
+        return effects.outline || effects.shadow || effects.glow ? effects : null;
+    }
+
+    // The reverse of getEffectSettings. Effects that are off keep the values their controls had.
+    setEffectControls(prefix, effects) {
+        const control = (id) => document.getElementById(prefix + id);
+        ['outline', 'shadow', 'glow'].forEach(effect => {
+            control(`${effect}-enabled`).checked = !!(effects && effects[effect]);
+        });
+        if (!effects) return;
+        
+        if (effects.outline) {
+            control('outline-width').value = effects.outline.width;
+            control('outline-color').value = effects.outline.color;
+        }
+        if (effects.shadow) {
+            control('shadow-offset-x').value = effects.shadow.offsetX;
+            control('shadow-offset-y').value = effects.shadow.offsetY;
+            control('shadow-blur').value = effects.shadow.blur;
+            control('shadow-color').value = effects.shadow.color;
+            control('shadow-opacity').value = Math.round(effects.shadow.opacity * 100);
+        }
+        if (effects.glow) {
+            control('glow-size').value = effects.glow.size;
+            control('glow-color').value = effects.glow.color;
+            control('glow-opacity').value = Math.round(effects.glow.opacity * 100);
+        }
+    }
+
+    // The effects an asset is drawn with: the shared ones, none, or its own
+    getAssetEffects(asset, effects) {
+        const settings = this.getAssetSettings(asset);
+        if (settings.effects === 'custom') return settings.customEffects;
+        return settings.effects === 'none' ? null : effects;
+    }
+
+    // How far effects can reach past an item's own pixels (blurs fade out at about 1.5x their size)
+    getEffectsMargin(effects) {
+        if (!effects) return 0;
+        const outline = effects.outline ? effects.outline.width : 0;
+        const shadow = effects.shadow ? Math.hypot(effects.shadow.offsetX, effects.shadow.offsetY) + effects.shadow.blur * 1.5 : 0;
+        const glow = effects.glow ? effects.glow.size * 1.5 : 0;
+        return outline + Math.max(shadow, glow);
+    }
+
+    setupRecolorControls() {
+        this.recolorPalette = this.getDefaultRecolorPalette();
+        this.recolorCache = new WeakMap(); // Recolored copies of asset images, keyed by source image
+        
+        document.getElementById('recolor-mode').addEventListener('change', () => this.applyRecolorChange('Change recolor mode'));
+        document.getElementById('recolor-tint').addEventListener('input', () => this.applyRecolorChange('Change tint color', { coalesce: true }));
+        
+        document.getElementById('recolor-palette-add').addEventListener('click', () => {
+            const last = this.recolorPalette[this.recolorPalette.length - 1];
+            this.setRecolorPalette([...this.recolorPalette, last || '#ffffff']);
+            this.applyRecolorChange('Add palette color');
+        });
+        
+        document.getElementById('recolor-from-background').addEventListener('click', () => {
+            const colors = this.getBackgroundPalette();
+            if (!colors) {
+                alert('Pick a solid color or gradient background first.');
+                return;
+            }
+            this.setRecolorPalette(colors);
+            this.applyRecolorChange('Palette from background');
+        });
+        
+        this.renderRecolorPalette();
+    }
+
+    getDefaultRecolorPalette() {
+        return ['#f43f5e', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6'];
+    }
+
+    // Palette arrays are replaced on every edit, so history entries can share them
+    setRecolorPalette(colors) {
+        this.recolorPalette = colors && colors.length > 0 ? colors : this.getDefaultRecolorPalette();
+        this.renderRecolorPalette();
+    }
+
+    renderRecolorPalette() {
+        const container = document.getElementById('recolor-palette');
+        container.innerHTML = '';
+        
+        this.recolorPalette.forEach((color, index) => {
+            const swatch = document.createElement('div');
+            swatch.className = 'relative group';
+            
+            const input = document.createElement('input');
+            input.type = 'color';
+            input.value = color;
+            input.className = 'w-8 h-8 bg-neutral-800 border border-neutral-700 rounded cursor-pointer';
+            input.addEventListener('input', () => {
+                this.recolorPalette = this.recolorPalette.map((value, i) => i === index ? input.value : value);
+                this.applyRecolorChange('Change palette color', { coalesce: true });
+            });
+            swatch.appendChild(input);
+            
+            // Keep at least one color
+            if (this.recolorPalette.length > 1) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'absolute -top-1 -right-1 bg-red-600 hover:bg-red-700 text-white rounded-full w-4 h-4 hidden group-hover:flex items-center justify-center text-xs transition-colors';
+                removeBtn.innerHTML = '×';
+                removeBtn.title = 'Remove color';
+                removeBtn.onclick = () => {
+                    this.setRecolorPalette(this.recolorPalette.filter((value, i) => i !== index));
+                    this.applyRecolorChange('Remove palette color');
+                };
+                swatch.appendChild(removeBtn);
+            }
+            
+            container.appendChild(swatch);
+        });
+    }
+
+    // Gradients give their stop colors; a single solid color gives lighter and darker
+    // shades of itself, since items in exactly the background color would disappear
+    getBackgroundPalette() {
+        if (this.currentBackgroundType !== 'color') return null;
+        
+        if (this.backgroundColorType === 'gradient') {
+            return this.gradientStops && this.gradientStops.length > 0 ? this.gradientStops.map(stop => stop.color) : null;
+        }
+        
+        const rgb = this.hexToRgb(document.getElementById('hex-input').value);
+        const mix = (target, amount) => '#' + rgb.map(value => {
+            const mixed = Math.round(value + (target - value) * amount);
+            return mixed.toString(16).padStart(2, '0');
+        }).join('');
+        return [mix(0, 0.6), mix(0, 0.3), mix(255, 0.3), mix(255, 0.6)];
+    }
+
+    // Recoloring is only drawn, so there's no need to regenerate the layout
+    applyRecolorChange(historyLabel, historyOptions = {}) {
+        this.updateRecolorUI();
+        this.renderCanvas();
+        this.recordHistory(historyLabel, historyOptions);
+    }
+
+    updateRecolorUI() {
+        const mode = document.getElementById('recolor-mode').value;
+        document.getElementById('recolor-tint-controls').classList.toggle('hidden', mode !== 'tint');
+        document.getElementById('recolor-palette-controls').classList.toggle('hidden', mode !== 'gradient' && mode !== 'palette');
+        document.getElementById('recolor-palette-hint').textContent = mode === 'gradient'
+            ? 'Dark areas take the first color, light areas the last'
+            : 'Each item gets a random color from the palette';
+    }
+
+    // The recolor mode and its colors, or null to keep the original colors
+    getRecolorSettings() {
+        const mode = document.getElementById('recolor-mode').value;
+        if (mode === 'tint') {
+            return { mode, colors: [document.getElementById('recolor-tint').value] };
+        }
+        if (mode === 'gradient' || mode === 'palette') {
+            return { mode, colors: this.recolorPalette };
+        }
+        return null;
+    }
+
+    // A single fill color, or a gradient to map brightness onto, for one placed item
+    getSampleRecolor(asset, sample, recolor) {
+        if (!recolor || this.getAssetSettings(asset).recolor === 'none') return null;
+        if (recolor.mode === 'gradient') {
+            return { gradient: recolor.colors };
+        }
+        // Palette picks come from the item's own tone roll, so they survive edits and undo
+        const index = recolor.mode === 'palette' ? Math.floor((sample.tone || 0) * recolor.colors.length) : 0;
+        return { fill: recolor.colors[Math.min(index, recolor.colors.length - 1)] };
+    }
+
+    // Brightness (0-255) to color lookup, stops spread evenly like the background gradients
+    getGradientMapLookup(colors) {
+        const stops = colors.map(color => this.hexToRgb(color));
+        const lookup = new Uint8ClampedArray(256 * 3);
+        
+        for (let level = 0; level < 256; level++) {
+            const position = stops.length > 1 ? level / 255 * (stops.length - 1) : 0;
+            const index = Math.min(Math.floor(position), stops.length - 1);
+            const next = Math.min(index + 1, stops.length - 1);
+            const t = position - index;
+            for (let channel = 0; channel < 3; channel++) {
+                lookup[level * 3 + channel] = stops[index][channel] + (stops[next][channel] - stops[index][channel]) * t;
+            }
+        }
+        return lookup;
+    }
+
+    getBrightness(r, g, b) {
+        return Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+    }
+
+    // Fill color for recolored text, which stays live text instead of pixels
+    getRecoloredTextColor(color, recolor) {
+        if (recolor.fill) return recolor.fill;
+        
+        const level = this.getBrightness(...this.hexToRgb(color));
+        const lookup = this.getGradientMapLookup(recolor.gradient);
+        return '#' + Array.from(lookup.slice(level * 3, level * 3 + 3), value => value.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Recolored copies are cached per source image and colors, so redraws stay cheap
+    getRecoloredImage(source, recolor) {
+        const key = recolor.fill || recolor.gradient.join(',');
+        let cache = this.recolorCache.get(source);
+        if (!cache) {
+            cache = new Map();
+            this.recolorCache.set(source, cache);
+        }
+        if (cache.has(key)) return cache.get(key);
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+        
+        if (recolor.fill) {
+            // Keep the shape, replace every color
+            ctx.globalCompositeOperation = 'source-in';
+            ctx.fillStyle = recolor.fill;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        } else {
+            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            const data = imageData.data;
+            const lookup = this.getGradientMapLookup(recolor.gradient);
+            for (let i = 0; i < data.length; i += 4) {
+                const level = this.getBrightness(data[i], data[i + 1], data[i + 2]);
+                data[i] = lookup[level * 3];
+                data[i + 1] = lookup[level * 3 + 1];
+                data[i + 2] = lookup[level * 3 + 2];
+            }
+            ctx.putImageData(imageData, 0, 0);
+        }
+        
+        // Dragging a color picker makes a new variation per step, so only keep recent ones
+        if (cache.size >= 16) {
+            cache.delete(cache.keys().next().value);
+        }
+        cache.set(key, canvas);
+        return canvas;
+    }
+
+    // Draw-time settings shared by every placed item, read once per render
+    getDrawStyle() {
+        return {
+            opacity: parseInt(document.getElementById('item-opacity').value) / 100,
+            blend: document.getElementById('blend-mode').value,
+            effects: this.getEffectSettings(),
+            recolor: this.getRecolorSettings()
+        };
+    }
+
+    getSampleOpacity(asset, sample, style) {
+        const random = sample.opacity !== undefined ? sample.opacity : 1;
+        return style.opacity * this.getAssetSettings(asset).opacity * random;
+    }
+
+    // Canvas composite operation, which shares its names with CSS blend modes apart from normal
+    getSampleBlendMode(asset, style) {
+        const blend = this.getAssetSettings(asset).blend;
+        return blend === 'global' ? style.blend : blend;
+    }
+
+    drawAssetOnContext(ctx, asset, sample, style = this.getDrawStyle()) {
+        ctx.save();
+        
+        ctx.translate(sample.x, sample.y);
+        ctx.rotate(sample.rotation || 0);
+        
+        // Size comes from the asset pool entry computed at generation time
+        const scale = sample.scale || 1;
+        const width = sample.asset.baseWidth * scale;
+        const height = sample.asset.baseHeight * scale;
+        
+        // Opacity multiplies the global, per-asset and random values; the asset's own
+        // blend mode wins over the global one
+        ctx.globalAlpha *= this.getSampleOpacity(asset, sample, style);
+        ctx.globalCompositeOperation = this.getSampleBlendMode(asset, style);
+        
+        const recolor = this.getSampleRecolor(asset, sample, style.recolor);
+        const effects = this.getAssetEffects(asset, style.effects);
+        if (effects) {
+            this.drawAssetWithEffects(ctx, asset, -width/2, -height/2, width, height, effects, recolor);
+        } else {
+            this.drawAssetImage(ctx, asset, -width/2, -height/2, width, height, recolor);
+        }
+        
+        ctx.restore();
+    }
+
+    // Shadow and glow are cast by the outlined sticker, so every effect follows the asset's
+    // alpha shape. Canvas shadows ignore the transform, so sizes are scaled to device pixels
+    // by hand - that keeps the preview and every export scale looking the same. Everything is
+    // put together on one layer first, so opacity and blending apply to the item as a whole.
+    drawAssetWithEffects(ctx, asset, x, y, width, height, effects, recolor = null) {
+        const transform = ctx.getTransform();
+        const pixelScale = Math.hypot(transform.a, transform.b);
+        const pad = effects.outline ? effects.outline.width : 0;
+        const sticker = this.getStickerCanvas(asset, width, height, effects.outline, pixelScale, recolor);
+        const stickerWidth = width + pad * 2;
+        const stickerHeight = height + pad * 2;
+        
+        // The layer is in the item's own unrotated space, with room for shadow and glow
+        const margin = this.getEffectsMargin(effects) - pad;
+        const layerWidth = stickerWidth + margin * 2;
+        const layerHeight = stickerHeight + margin * 2;
+        // One scratch canvas serves every item, resizing it also clears it
+        if (!this.effectsLayer) {
+            this.effectsLayer = document.createElement('canvas');
+        }
+        const layer = this.effectsLayer;
+        layer.width = Math.max(1, Math.ceil(layerWidth * pixelScale));
+        layer.height = Math.max(1, Math.ceil(layerHeight * pixelScale));
+        const layerCtx = layer.getContext('2d');
+        layerCtx.scale(pixelScale, pixelScale);
+        
+        // Shadow offsets point the same way on the canvas whatever the item's rotation
+        const cos = transform.a / pixelScale;
+        const sin = transform.b / pixelScale;
+        
+        // Canvas shadows only come with a drawing, so draw the sticker off the layer
+        // and offset its shadow back into place to get the shadow on its own
+        const castShadow = (blur, offsetX, offsetY, color, opacity) => {
+            layerCtx.save();
+            layerCtx.globalAlpha = opacity;
+            layerCtx.shadowColor = color;
+            layerCtx.shadowBlur = blur * pixelScale;
+            layerCtx.shadowOffsetX = (layerWidth + offsetX * cos + offsetY * sin) * pixelScale;
+            layerCtx.shadowOffsetY = (offsetY * cos - offsetX * sin) * pixelScale;
+            layerCtx.drawImage(sticker, margin - layerWidth, margin, stickerWidth, stickerHeight);
+            layerCtx.restore();
+        };
+        
+        if (effects.shadow) {
+            const shadow = effects.shadow;
+            castShadow(shadow.blur, shadow.offsetX, shadow.offsetY, shadow.color, shadow.opacity);
+        }
+        if (effects.glow) {
+            castShadow(effects.glow.size, 0, 0, effects.glow.color, effects.glow.opacity);
+        }
+        layerCtx.drawImage(sticker, margin, margin, stickerWidth, stickerHeight);
+        
+        // Drawn at its rounded-up pixel size, so shadow offsets stay exact
+        ctx.drawImage(layer, x - pad - margin, y - pad - margin, layer.width / pixelScale, layer.height / pixelScale);
+    }
+
+    // Stickers are cached per source image, pixel size, outline and colors, so redraws while
+    // dragging or moving a slider don't stamp every outline again
+    getStickerCanvas(asset, width, height, outline, pixelScale, recolor = null) {
+        const source = asset.type === 'text' ? asset : (this.svgRasters.get(asset) || asset);
+        const key = [
+            Math.ceil(width * pixelScale),
+            Math.ceil(height * pixelScale),
+            outline ? `${+(outline.width * pixelScale).toFixed(2)} ${outline.color}` : '',
+            recolor ? recolor.fill || recolor.gradient.join(',') : ''
+        ].join('|');
+        
+        let cache = this.stickerCache.get(source);
+        if (!cache) {
+            cache = new Map();
+            this.stickerCache.set(source, cache);
+        }
+        
+        let sticker = cache.get(key);
+        if (sticker) {
+            // Re-inserted below, so the least recently used entry stays first
+            cache.delete(key);
+        } else {
+            sticker = this.renderStickerCanvas(asset, width, height, outline, pixelScale, recolor);
+        }
+        cache.set(key, sticker);
+        
+        // Randomly scaled items each have their own size, keep enough for a full layout
+        if (cache.size > 256) {
+            cache.delete(cache.keys().next().value);
+        }
+        return sticker;
+    }
+
+    // The asset on a device-resolution canvas, padded and ringed by its die-cut outline
+    renderStickerCanvas(asset, width, height, outline, pixelScale, recolor = null) {
+        const pad = outline ? outline.width : 0;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.ceil((width + pad * 2) * pixelScale));
+        canvas.height = Math.max(1, Math.ceil((height + pad * 2) * pixelScale));
+        const ctx = canvas.getContext('2d');
+        ctx.scale(canvas.width / (width + pad * 2), canvas.height / (height + pad * 2));
+        
+        if (outline) {
+            // Solid silhouette of the asset in the outline color
+            const silhouette = document.createElement('canvas');
+            silhouette.width = canvas.width;
+            silhouette.height = canvas.height;
+            const silhouetteCtx = silhouette.getContext('2d');
+            silhouetteCtx.setTransform(ctx.getTransform());
+            this.drawAssetImage(silhouetteCtx, asset, pad, pad, width, height);
+            silhouetteCtx.globalCompositeOperation = 'source-in';
+            silhouetteCtx.fillStyle = outline.color;
+            silhouetteCtx.fillRect(0, 0, width + pad * 2, height + pad * 2);
+            
+            // Stamping it around two rings grows the silhouette by the outline width
+            // (the inner ring fills in behind thin details)
+            const steps = Math.min(72, Math.max(12, Math.ceil(Math.PI * pad * pixelScale)));
+            [pad, pad / 2].forEach(radius => {
+                for (let i = 0; i < steps; i++) {
+                    const angle = i / steps * Math.PI * 2;
+                    ctx.drawImage(silhouette, Math.cos(angle) * radius, Math.sin(angle) * radius, width + pad * 2, height + pad * 2);
+                }
+            });
+        }
+        
+        this.drawAssetImage(ctx, asset, pad, pad, width, height, recolor);
+        return canvas;
+    }
+
+    setupMaskControls() {
+        this.mask = null;
+        this.maskData = null;
+        this.maskPainting = false;
+        this.maskBrushAllow = false;
+        this.maskStroke = null;
+        
+        const maskUpload = document.getElementById('mask-upload');
+        document.getElementById('mask-upload-btn').addEventListener('click', () => maskUpload.click());
+        maskUpload.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                try {
+                    const img = await this.loadImage(file);
+                    this.setMask(this.createMaskCanvas(img.width, img.height, img));
+                    this.applyMaskChange('Upload mask');
+                } catch (error) {
+                    console.error('Error loading mask:', error);
+                    alert('Error loading mask image. Please try again.');
+                }
+            }
+            // Allow uploading the same file again
+            e.target.value = '';
+        });
+        
+        document.getElementById('mask-paint-btn').addEventListener('click', () => {
+            this.maskPainting = !this.maskPainting;
+            if (this.maskPainting) {
+                this.selectSample(null);
+            }
+            this.updateMaskUI();
+            this.renderCanvas();
+        });
+        
+        document.querySelectorAll('.mask-brush-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.maskBrushAllow = btn.dataset.brush === 'allow';
+                this.updateMaskUI();
+            });
+        });
+        
+        const brushSize = document.getElementById('mask-brush-size');
+        brushSize.addEventListener('input', () => {
+            document.getElementById('mask-brush-size-value').textContent = `${brushSize.value}px`;
+        });
+        
+        document.getElementById('mask-invert-btn').addEventListener('click', () => {
+            const inverted = this.createMaskCanvas(
+                this.mask ? this.mask.width : this.canvas.width,
+                this.mask ? this.mask.height : this.canvas.height,
+                this.mask
+            );
+            const ctx = inverted.getContext('2d');
+            ctx.globalCompositeOperation = 'difference';
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, inverted.width, inverted.height);
+            this.setMask(inverted);
+            this.applyMaskChange('Invert mask');
+        });
+        
+        document.getElementById('mask-clear-btn').addEventListener('click', () => {
+            if (!this.mask) return;
+            this.setMask(null);
+            this.applyMaskChange('Remove mask');
+        });
+        
+        this.updateMaskUI();
+    }
+
+    // Masks are kept as white (allowed) / black (blocked) canvases. Without a source
+    // image the new mask allows everything.
+    createMaskCanvas(width, height, source = null) {
+        const maskCanvas = document.createElement('canvas');
+        maskCanvas.width = width;
+        maskCanvas.height = height;
+        const ctx = maskCanvas.getContext('2d');
+        
+        // Transparent parts of uploaded masks count as blocked
+        ctx.fillStyle = source ? '#000000' : '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        if (source) {
+            ctx.drawImage(source, 0, 0, width, height);
+        }
+        return maskCanvas;
+    }
+
+    // Mask canvases are never changed once set, so history entries can share them
+    setMask(maskCanvas) {
+        this.mask = maskCanvas;
+        this.maskData = null;
+        this.updateMaskUI();
+    }
+
+    applyMaskChange(historyLabel) {
+        if (this.assets.length > 0) {
+            this.generateLayout({ historyLabel });
+        } else {
+            this.renderCanvas();
+            this.recordHistory(historyLabel);
+        }
+    }
+
+    updateMaskUI() {
+        const paintBtn = document.getElementById('mask-paint-btn');
+        paintBtn.classList.toggle('bg-blue-600', this.maskPainting);
+        paintBtn.classList.toggle('bg-neutral-800', !this.maskPainting);
+        document.getElementById('mask-paint-controls').classList.toggle('hidden', !this.maskPainting);
+        document.getElementById('mask-clear-btn').disabled = !this.mask;
+        
+        document.querySelectorAll('.mask-brush-btn').forEach(btn => {
+            const active = (btn.dataset.brush === 'allow') === this.maskBrushAllow;
+            btn.classList.toggle('bg-blue-600', active);
+            btn.classList.toggle('bg-neutral-700', !active);
+            btn.classList.toggle('hover:bg-neutral-600', !active);
+        });
+        
+        this.canvas.style.cursor = this.maskPainting ? 'crosshair' : '';
+    }
+
+    // Blocked areas are darkened while painting so you can see what you're doing
+    drawMaskOverlay(ctx) {
+        if (!this.maskPainting) return;
+        const mask = this.maskStroke ? this.maskStroke.canvas : this.mask;
+        if (!mask) return;
+        
+        ctx.save();
+        ctx.globalCompositeOperation = 'multiply';
+        ctx.globalAlpha = 0.6;
+        ctx.drawImage(mask, 0, 0, this.canvas.width, this.canvas.height);
+        ctx.restore();
+    }
+
+    startMaskStroke(e) {
+        const point = this.getCanvasPoint(e);
+        
+        // Paint on a copy, the current mask may still be referenced by history
+        const maskCanvas = this.mask
+            ? this.createMaskCanvas(this.mask.width, this.mask.height, this.mask)
+            : this.createMaskCanvas(this.canvas.width, this.canvas.height);
+        
+        this.maskStroke = {
+            canvas: maskCanvas,
+            pointerId: e.pointerId,
+            lastPoint: point
+        };
+        this.paintMaskSegment(point, point);
+        this.canvas.setPointerCapture(e.pointerId);
+        e.preventDefault();
+    }
+
+    paintMaskSegment(from, to) {
+        const maskCanvas = this.maskStroke.canvas;
+        const ctx = maskCanvas.getContext('2d');
+        const scaleX = maskCanvas.width / this.canvas.width;
+        const scaleY = maskCanvas.height / this.canvas.height;
+        
+        ctx.save();
+        ctx.scale(scaleX, scaleY);
+        ctx.strokeStyle = this.maskBrushAllow ? '#ffffff' : '#000000';
+        ctx.lineWidth = parseInt(document.getElementById('mask-brush-size').value);
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+        ctx.restore();
+        
+        // Redraw at most once per frame while painting
+        if (!this.canvasUpdateRequested) {
+            this.canvasUpdateRequested = true;
+            requestAnimationFrame(() => {
+                this.renderCanvas();
+                this.canvasUpdateRequested = false;
+            });
+        }
+    }
+
+    finishMaskStroke() {
+        const stroke = this.maskStroke;
+        this.maskStroke = null;
+        if (this.canvas.hasPointerCapture(stroke.pointerId)) {
+            this.canvas.releasePointerCapture(stroke.pointerId);
         }
         
-        // Add a small delay to prevent double downloads
-        setTimeout(() => {
-            link.click();
-        }, 100);
+        this.setMask(stroke.canvas);
+        this.applyMaskChange('Paint mask');
     }
 
-    setupCollapsibleSections() {
-        // --- Define which section should be open by default (only one allowed) ---
-        const defaultOpenSection = 'upload';
+    // Allowed/blocked lookup table for the mask, built on first use after each change
+    getMaskData() {
+        if (!this.mask) return null;
+        if (!this.maskData) {
+            const width = this.mask.width;
+            const height = this.mask.height;
+            const pixels = this.mask.getContext('2d').getImageData(0, 0, width, height).data;
+            const allowed = new Uint8Array(width * height);
+            for (let i = 0; i < allowed.length; i++) {
+                const luminance = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2];
+                allowed[i] = luminance >= 128 ? 1 : 0;
+            }
+            this.maskData = { width, height, allowed };
+        }
+        return this.maskData;
+    }
 
-        const headers = document.querySelectorAll('.settings-header');
+    setupCanvasInteraction() {
+        this.selectedSample = null;
+        this.canvasDrag = null;
         
-        // Helper function to collapse a section with animation
-        const collapseSection = (content, chevron) => {
-            const sectionHeight = content.scrollHeight;
-            content.style.maxHeight = sectionHeight + 'px';
-            content.classList.remove('expanded');
-            
-            // Force reflow
-            content.offsetHeight;
-            
-            // Start collapse animation
-            content.classList.add('collapsed');
-            chevron.style.transform = 'rotate(0deg)';
-            
-            // After animation completes, add hidden class
-            setTimeout(() => {
-                content.classList.add('hidden');
-                content.style.maxHeight = '';
-            }, 300);
-        };
+        // Pointer events cover mouse, pen and touch
+        this.canvas.style.touchAction = 'none';
+        this.canvas.addEventListener('pointerdown', (e) => this.handleCanvasPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handleCanvasPointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handleCanvasPointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.handleCanvasPointerUp(e));
         
-        // Helper function to expand a section with animation
-        const expandSection = (content, chevron) => {
-            content.classList.remove('hidden', 'collapsed');
-            
-            // Get the natural height
-            const sectionHeight = content.scrollHeight;
-            content.style.maxHeight = '0px';
-            
-            // Force reflow
-            content.offsetHeight;
-            
-            // Start expand animation
-            content.style.maxHeight = sectionHeight + 'px';
-            content.classList.add('expanded');
-            chevron.style.transform = 'rotate(180deg)';
-            
-            // After animation completes, remove max-height
-            setTimeout(() => {
-                content.style.maxHeight = '';
-            }, 300);
-        };
+        // Selection toolbar
+        document.getElementById('item-backward-btn').addEventListener('click', () => this.moveSelectedSample(-1));
+        document.getElementById('item-forward-btn').addEventListener('click', () => this.moveSelectedSample(1));
+        document.getElementById('item-delete-btn').addEventListener('click', () => this.deleteSelectedSample());
         
-        headers.forEach(header => {
-            const sectionName = header.dataset.section;
-            const content = header.nextElementSibling;
-            const chevron = header.querySelector('[data-lucide="chevron-down"]');
-
-            // Set the initial state - only the default section is open
-            if (sectionName === defaultOpenSection) {
-                content.classList.remove('hidden');
-                content.classList.add('expanded');
-                chevron.style.transform = 'rotate(180deg)';
-            } else {
-                content.classList.add('hidden', 'collapsed');
-                chevron.style.transform = 'rotate(0deg)';
-            }
-
-            // Add the click event listener
-            header.addEventListener('click', (e) => {
+        // Keyboard shortcuts for the selected item
+        document.addEventListener('keydown', (e) => {
+            if (!this.selectedSample || e.target.matches('input, textarea, select')) return;
+            if (e.key === 'Delete' || e.key === 'Backspace') {
                 e.preventDefault();
-                
-                const isExpanded = content.classList.contains('expanded');
-                
-                if (isExpanded) {
-                    // Close this section
-                    collapseSection(content, chevron);
-                } else {
-                    // Close all other sections first
-                    headers.forEach(otherHeader => {
-                        if (otherHeader !== header) {
-                            const otherContent = otherHeader.nextElementSibling;
-                            const otherChevron = otherHeader.querySelector('[data-lucide="chevron-down"]');
-                            if (otherContent.classList.contains('expanded')) {
-                                collapseSection(otherContent, otherChevron);
-                            }
-                        }
-                    });
-                    
-                    // Then open this section after a short delay to allow other sections to close
-                    setTimeout(() => {
-                        expandSection(content, chevron);
-                    }, 100);
-                }
-            });
+                this.deleteSelectedSample();
+            } else if (e.key === ']') {
+                this.moveSelectedSample(1);
+            } else if (e.key === '[') {
+                this.moveSelectedSample(-1);
+            } else if (e.key === 'Escape') {
+                this.selectSample(null);
+            }
         });
     }
 
-    setupExportDropdown() {
-        // Export dropdown state
-        this.exportSettings = {
-            format: 'png',
-            scale: 2,
-            transparent: false
+    // Convert a pointer position to canvas pixel coordinates (accounts for zoom and CSS scaling)
+    getCanvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * this.canvas.width / rect.width,
+            y: (e.clientY - rect.top) * this.canvas.height / rect.height
         };
+    }
 
-        // Get DOM elements
-        const exportBtn = document.getElementById('export-btn');
-        const exportSettingsBtn = document.getElementById('export-settings-btn');
-        const exportDropdown = document.getElementById('export-dropdown');
-        const chevronIcon = exportSettingsBtn.querySelector('[data-lucide="chevron-down"]');
-
-        // Remove any existing event listeners by cloning and replacing
-        const newExportBtn = exportBtn.cloneNode(true);
-        exportBtn.parentNode.replaceChild(newExportBtn, exportBtn);
-        
-        const newSettingsBtn = exportSettingsBtn.cloneNode(true);
-        exportSettingsBtn.parentNode.replaceChild(newSettingsBtn, exportSettingsBtn);
+    // Canvas pixels per screen pixel, used to keep handles the same size at any zoom
+    getCanvasPixelRatio() {
+        const rect = this.canvas.getBoundingClientRect();
+        return rect.width > 0 ? this.canvas.width / rect.width : 1;
+    }
 
-        // Main export button - direct export (single click handler)
-        newExportBtn.addEventListener('click', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            this.downloadImage(this.exportSettings);
-        });
+    getSampleSize(sample) {
+        const scale = sample.scale || 1;
+        return {
+            width: sample.asset.baseWidth * scale,
+            height: sample.asset.baseHeight * scale
+        };
+    }
 
-        // Export settings button toggle
-        newSettingsBtn.addEventListener('click', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            
-            const isVisible = !exportDropdown.classList.contains('hidden');
-            
-            if (isVisible) {
-                exportDropdown.classList.add('hidden');
-                chevronIcon.style.transform = 'rotate(0deg)';
-            } else {
-                exportDropdown.classList.remove('hidden');
-                chevronIcon.style.transform = 'rotate(180deg)';
-            }
-        });
+    // Point relative to the sample's center, in its unrotated frame
+    toSampleSpace(sample, point) {
+        const dx = point.x - sample.x;
+        const dy = point.y - sample.y;
+        const cos = Math.cos(-(sample.rotation || 0));
+        const sin = Math.sin(-(sample.rotation || 0));
+        return {
+            x: dx * cos - dy * sin,
+            y: dx * sin + dy * cos
+        };
+    }
 
-        // Close dropdown when clicking outside
-        document.addEventListener('click', (e) => {
-            const exportSection = document.getElementById('export-dropdown').closest('.relative');
-            if (!exportSection.contains(e.target)) {
-                exportDropdown.classList.add('hidden');
-                chevronIcon.style.transform = 'rotate(0deg)';
+    hitTestSample(point) {
+        // Topmost item first
+        for (let i = this.samples.length - 1; i >= 0; i--) {
+            const sample = this.samples[i];
+            const local = this.toSampleSpace(sample, point);
+            const size = this.getSampleSize(sample);
+            if (Math.abs(local.x) <= size.width / 2 && Math.abs(local.y) <= size.height / 2) {
+                return sample;
             }
-        });
-
-        // Format selection
-        document.querySelectorAll('.export-format-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                
-                // Update active state
-                document.querySelectorAll('.export-format-btn').forEach(b => {
-                    b.classList.remove('active', 'bg-blue-600');
-                    b.classList.add('bg-neutral-700', 'hover:bg-neutral-600');
-                });
-                btn.classList.add('active', 'bg-blue-600');
-                btn.classList.remove('bg-neutral-700', 'hover:bg-neutral-600');
-                
-                // Update setting
-                this.exportSettings.format = btn.dataset.format;
-            });
-        });
-
-        // Size selection
-        document.querySelectorAll('.export-size-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                
-                // Update active state
-                document.querySelectorAll('.export-size-btn').forEach(b => {
-                    b.classList.remove('active', 'bg-blue-600');
-                    b.classList.add('bg-neutral-700', 'hover:bg-neutral-600');
-                });
-                btn.classList.add('active', 'bg-blue-600');
-                btn.classList.remove('bg-neutral-700', 'hover:bg-neutral-600');
-                
-                // Update setting
-                this.exportSettings.scale = parseFloat(btn.dataset.scale);
-            });
-        });
+        }
+        return null;
+    }
 
-        // Transparent background toggle
-        const transparentCheckbox = document.getElementById('export-transparent');
-        transparentCheckbox.addEventListener('change', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            this.exportSettings.transparent = transparentCheckbox.checked;
+    getSelectionHandles(sample) {
+        const size = this.getSampleSize(sample);
+        const ratio = this.getCanvasPixelRatio();
+        const halfWidth = size.width / 2;
+        const halfHeight = size.height / 2;
+        const rotation = sample.rotation || 0;
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const toCanvas = (x, y) => ({
+            x: sample.x + x * cos - y * sin,
+            y: sample.y + x * sin + y * cos
         });
+        
+        return {
+            corners: [
+                toCanvas(-halfWidth, -halfHeight),
+                toCanvas(halfWidth, -halfHeight),
+                toCanvas(halfWidth, halfHeight),
+                toCanvas(-halfWidth, halfHeight)
+            ],
+            rotate: toCanvas(0, -halfHeight - 24 * ratio),
+            topCenter: toCanvas(0, -halfHeight),
+            radius: 6 * ratio
+        };
+    }
 
+    hitTestHandle(point) {
+        if (!this.selectedSample) return null;
+        const handles = this.getSelectionHandles(this.selectedSample);
+        const hitRadius = handles.radius * 1.5;
+        const isNear = (handle) => Math.hypot(point.x - handle.x, point.y - handle.y) <= hitRadius;
+        
+        if (isNear(handles.rotate)) return 'rotate';
+        if (handles.corners.some(isNear)) return 'scale';
+        return null;
+    }
 
+    handleCanvasPointerDown(e) {
+        if (this.maskPainting) {
+            this.startMaskStroke(e);
+            return;
+        }
+        if (!this.isGenerated) return;
+        const point = this.getCanvasPoint(e);
+        
+        // Handles of the current selection take priority over items underneath
+        let mode = this.hitTestHandle(point);
+        if (!mode) {
+            const sample = this.hitTestSample(point);
+            this.selectSample(sample);
+            if (!sample) return;
+            mode = 'move';
+        }
+        
+        const sample = this.selectedSample;
+        this.canvasDrag = {
+            mode,
+            pointerId: e.pointerId,
+            startPoint: point,
+            startX: sample.x,
+            startY: sample.y,
+            startRotation: sample.rotation || 0,
+            startScale: sample.scale || 1,
+            moved: false
+        };
+        this.canvas.setPointerCapture(e.pointerId);
+        e.preventDefault();
     }
 
-    drawAssetOnContext(ctx, asset, position, randomRotation, randomScale, assetInfo = null) {
-        ctx.save();
+    handleCanvasPointerMove(e) {
+        const point = this.getCanvasPoint(e);
+        const drag = this.canvasDrag;
+        
+        if (this.maskStroke) {
+            this.paintMaskSegment(this.maskStroke.lastPoint, point);
+            this.maskStroke.lastPoint = point;
+            return;
+        }
+        if (this.maskPainting) return;
+        
+        if (!drag) {
+            // Hover feedback
+            const handle = this.hitTestHandle(point);
+            if (handle === 'rotate') {
+                this.canvas.style.cursor = 'grab';
+            } else if (handle === 'scale') {
+                this.canvas.style.cursor = 'nwse-resize';
+            } else {
+                this.canvas.style.cursor = this.isGenerated && this.hitTestSample(point) ? 'move' : '';
+            }
+            return;
+        }
+        
+        const sample = this.selectedSample;
+        if (drag.mode === 'move') {
+            sample.x = drag.startX + point.x - drag.startPoint.x;
+            sample.y = drag.startY + point.y - drag.startPoint.y;
+        } else if (drag.mode === 'rotate') {
+            const startAngle = Math.atan2(drag.startPoint.y - drag.startY, drag.startPoint.x - drag.startX);
+            const angle = Math.atan2(point.y - sample.y, point.x - sample.x);
+            sample.rotation = drag.startRotation + angle - startAngle;
+            sample.edited = true;
+        } else if (drag.mode === 'scale') {
+            const startDistance = Math.hypot(drag.startPoint.x - sample.x, drag.startPoint.y - sample.y);
+            const distance = Math.hypot(point.x - sample.x, point.y - sample.y);
+            if (startDistance > 0) {
+                sample.scale = Math.max(0.05, drag.startScale * distance / startDistance);
+                sample.edited = true;
+            }
+        }
+        drag.moved = true;
         
-        ctx.translate(position.x, position.y);
+        // Redraw at most once per frame while dragging
+        if (!this.canvasUpdateRequested) {
+            this.canvasUpdateRequested = true;
+            requestAnimationFrame(() => {
+                this.renderCanvas();
+                this.canvasUpdateRequested = false;
+            });
+        }
+    }
+
+    handleCanvasPointerUp(e) {
+        if (this.maskStroke) {
+            this.finishMaskStroke();
+            return;
+        }
         
-        if (randomRotation) {
-            const rotationRange = this.getRotationRange();
-            const rotation = rotationRange.min + Math.random() * (rotationRange.max - rotationRange.min);
-            ctx.rotate(rotation);
+        const drag = this.canvasDrag;
+        if (!drag) return;
+        this.canvasDrag = null;
+        if (this.canvas.hasPointerCapture(drag.pointerId)) {
+            this.canvas.releasePointerCapture(drag.pointerId);
         }
         
-        let scale = 1;
-        if (randomScale) {
-            const scaleRange = this.getScaleRange();
-            scale = scaleRange.min + Math.random() * (scaleRange.max - scaleRange.min);
+        if (drag.moved) {
+            const labels = { move: 'Move item', rotate: 'Rotate item', scale: 'Resize item' };
+            this.renderCanvas();
+            this.recordHistory(labels[drag.mode]);
         }
+    }
+
+    selectSample(sample) {
+        if (this.selectedSample === sample) return;
+        this.selectedSample = sample;
+        document.getElementById('selection-toolbar').classList.toggle('hidden', !sample);
+        this.renderCanvas();
+    }
+
+    deleteSelectedSample() {
+        const index = this.samples.indexOf(this.selectedSample);
+        if (index === -1) return;
+        this.samples.splice(index, 1);
+        this.selectSample(null);
+        this.recordHistory('Delete item');
+    }
+
+    // Move the selected item one step up (1) or down (-1) in the stacking order
+    moveSelectedSample(direction) {
+        const index = this.samples.indexOf(this.selectedSample);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= this.samples.length) return;
         
-        // Calculate dimensions using current asset size setting for export
-        const maxSize = this.getAssetSize();
-            const ratio = Math.min(maxSize / asset.width, maxSize / asset.height);
-        const width = asset.width * ratio * scale;
-        const height = asset.height * ratio * scale;
+        [this.samples[index], this.samples[target]] = [this.samples[target], this.samples[index]];
+        this.renderCanvas();
+        this.recordHistory(direction > 0 ? 'Bring item forward' : 'Send item backward');
+    }
+
+    drawSelection(ctx) {
+        const sample = this.selectedSample;
+        if (!sample || !this.samples.includes(sample)) return;
         
-        ctx.drawImage(asset, -width/2, -height/2, width, height);
+        const handles = this.getSelectionHandles(sample);
+        const ratio = this.getCanvasPixelRatio();
         
+        ctx.save();
+        ctx.strokeStyle = '#3b82f6';
+        ctx.lineWidth = 1.5 * ratio;
+        
+        // Outline and rotation stem
+        ctx.beginPath();
+        handles.corners.forEach((corner, i) => {
+            if (i === 0) ctx.moveTo(corner.x, corner.y);
+            else ctx.lineTo(corner.x, corner.y);
+        });
+        ctx.closePath();
+        ctx.moveTo(handles.topCenter.x, handles.topCenter.y);
+        ctx.lineTo(handles.rotate.x, handles.rotate.y);
+        ctx.stroke();
+        
+        // Handles
+        ctx.fillStyle = '#ffffff';
+        [...handles.corners, handles.rotate].forEach(handle => {
+            ctx.beginPath();
+            ctx.arc(handle.x, handle.y, handles.radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        });
         ctx.restore();
     }
 
@@ -1442,7 +4707,7 @@ class ScattrApp {
         setTimeout(() => this.renderCanvas(), 50);
     }
 
-    setColorType(type) {
+    setColorType(type, transferColor = true) {
         const solidBtn = document.getElementById('color-type-solid');
         const gradientBtn = document.getElementById('color-type-gradient');
         const solidControls = document.getElementById('solid-color-controls');
@@ -1457,7 +4722,9 @@ class ScattrApp {
             gradientControls.classList.add('hidden');
         } else {
             // Transfer current solid color to gradient and calculate complementary color
-            this.transferSolidColorToGradient();
+            if (transferColor) {
+                this.transferSolidColorToGradient();
+            }
             
             gradientBtn.classList.add('bg-neutral-700', 'text-white');
             gradientBtn.classList.remove('text-neutral-400');
@@ -1645,6 +4912,7 @@ class ScattrApp {
                 this.colorPickerState = { ...this.colorPickerState, ...hsv };
                 this.updatePickerFromColor();
                 this.updateHexColorSwatch();
+                this.recordHistory('Change background color', { coalesce: true });
                 
                 // Update canvas in real-time with debouncing
                 clearTimeout(this.colorUpdateTimeout);
@@ -1663,6 +4931,7 @@ class ScattrApp {
         const hex = this.hsvToHex(hue, saturation, value);
         document.getElementById('hex-input').value = hex;
         this.updateHexColorSwatch();
+        this.recordHistory('Change background color', { coalesce: true });
         
         // Update canvas smoothly using requestAnimationFrame
         if (!this.canvasUpdateRequested) {
@@ -1732,6 +5001,7 @@ class ScattrApp {
                 container.classList.add('border-blue-500');
                 
                 this.currentGradientStyle = e.target.dataset.style;
+                this.recordHistory('Change gradient style');
                 
                 // Always update canvas when gradient style changes (preserve existing layout)
                 setTimeout(() => this.renderCanvas(), 50);
@@ -1742,6 +5012,32 @@ class ScattrApp {
         this.updateAllGradientPreviews();
     }
 
+    renderGradientStops() {
+        // Rebuild the stop swatches from this.gradientStops, keeping the add button last
+        const container = document.getElementById('gradient-colors-container');
+        const addColorBtn = document.getElementById('add-gradient-color');
+        container.querySelectorAll('.gradient-color-stop').forEach(stop => stop.remove());
+        
+        this.gradientStops.forEach((stop, index) => {
+            const stopElement = document.createElement('div');
+            stopElement.className = 'gradient-color-stop';
+            stopElement.draggable = true;
+            stopElement.dataset.color = stop.color;
+            stopElement.dataset.index = index;
+            stopElement.dataset.opacity = stop.opacity || 1.0;
+            stopElement.style.background = stop.color;
+            container.insertBefore(stopElement, addColorBtn);
+        });
+    }
+
+    updateGradientStyleSelection() {
+        document.querySelectorAll('.gradient-style-container').forEach(container => {
+            const isSelected = container.querySelector('.gradient-style').dataset.style === this.currentGradientStyle;
+            container.classList.toggle('border-blue-500', isSelected);
+            container.classList.toggle('border-transparent', !isSelected);
+        });
+    }
+
     updateGradientSwatch() {
         // Update gradient style previews with current colors
         this.updateAllGradientPreviews();
@@ -1849,6 +5145,7 @@ class ScattrApp {
                     this.colorPickerState = { ...this.colorPickerState, ...hsv };
                     this.updatePickerFromColor();
                     this.updateHexColorSwatch();
+                    this.recordHistory('Change background color');
                     
                     // Trigger canvas update smoothly (preserve existing layout)
                     if (!this.canvasUpdateRequested) {
@@ -1977,6 +5274,7 @@ class ScattrApp {
                     this.floatingColorState = { ...this.floatingColorState, ...hsv };
                     this.updateFloatingPickerFromColor();
                     this.updateFloatingHexColorSwatch();
+                    this.recordHistory('Change gradient color');
                     
                     // Trigger canvas update smoothly (preserve existing layout)
                     if (!this.canvasUpdateRequested) {
@@ -2038,6 +5336,7 @@ class ScattrApp {
         if (this.assets.length > 0 && this.isGenerated) {
             setTimeout(() => this.renderCanvas(), 50);
         }
+        this.recordHistory('Add gradient color');
 
         // Re-order the add color button to the end of the list
         const addColorBtn = document.getElementById('add-gradient-color');
@@ -2073,7 +5372,10 @@ class ScattrApp {
         // Update previews and layout
         this.updateAllGradientPreviews();
         if (this.assets.length > 0) {
-            setTimeout(() => this.generateLayout(), 50);
+            this.scheduleLayout('Delete gradient color');
+        } else {
+            this.renderCanvas();
+            this.recordHistory('Delete gradient color');
         }
     }
 
@@ -2294,6 +5596,7 @@ class ScattrApp {
                 const hsv = this.hexToHsv(value);
                 this.floatingColorState = { ...this.floatingColorState, ...hsv };
                 this.updateFloatingPickerFromColor();
+                this.recordHistory('Change gradient color', { coalesce: true });
                 
                 // Update canvas in real-time with debouncing
                 clearTimeout(this.colorUpdateTimeout);
@@ -2326,6 +5629,7 @@ class ScattrApp {
                 
                 // Update gradient previews
                 this.updateAllGradientPreviews();
+                this.recordHistory('Change gradient color', { coalesce: true });
             }
             
             // Update canvas in real-time with debouncing
@@ -2379,6 +5683,7 @@ class ScattrApp {
             
             // Update gradient previews
             this.updateAllGradientPreviews();
+            this.recordHistory('Change gradient color', { coalesce: true });
         }
         
         // Update canvas smoothly using requestAnimationFrame
@@ -2437,6 +5742,11 @@ class ScattrApp {
         opacityHandle.style.background = rgba;
     }
 
+    hexToRgb(hex) {
+        hex = hex.replace('#', '');
+        return [parseInt(hex.slice(0, 2), 16), parseInt(hex.slice(2, 4), 16), parseInt(hex.slice(4, 6), 16)];
+    }
+
     hexToRgba(hex, alpha) {
         const r = parseInt(hex.slice(0, 2), 16);
         const g = parseInt(hex.slice(2, 4), 16);
@@ -2566,5 +5876,6 @@ class ScattrApp {
         if (this.assets.length > 0 && this.isGenerated) {
             setTimeout(() => this.renderCanvas(), 50);
         }
+        this.recordHistory('Reorder gradient colors');
     }
 }
\ No newline at end of file
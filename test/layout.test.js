@@ -0,0 +1,190 @@
+// Layout engine tests - run with `node --test` from the repository root
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ScattrLayout = require('../layout.js');
+
+const WIDTH = 800;
+const HEIGHT = 600;
+
+function createOptions(overrides = {}) {
+    return {
+        width: WIDTH,
+        height: HEIGHT,
+        assets: [
+            { image: 'square', width: 200, height: 200 },
+            { image: 'wide', width: 300, height: 100 },
+            { image: 'tall', width: 80, height: 240 }
+        ],
+        assetSize: 60,
+        spacing: 20,
+        numItems: 80,
+        seed: 1234,
+        ...overrides
+    };
+}
+
+// Every pair must keep the spacing between their bounding circles (or outlines)
+function assertNoOverlaps(samples, spacing, wrapSize = null) {
+    for (let i = 0; i < samples.length; i++) {
+        for (let j = 0; j < i; j++) {
+            // Allow for floating point error right at the gap boundary
+            const overlapping = ScattrLayout.collides(samples[i], samples[j], spacing - 1e-6, wrapSize);
+            assert.strictEqual(overlapping, false, `items ${j} and ${i} overlap`);
+        }
+    }
+}
+
+test('places items without overlaps', () => {
+    const samples = ScattrLayout.generateLayout(createOptions());
+    assert.ok(samples.length > 10, `expected a full layout, got ${samples.length} items`);
+    assertNoOverlaps(samples, 20);
+});
+
+test('keeps every item center on the canvas', () => {
+    const samples = ScattrLayout.generateLayout(createOptions({ randomRotation: true, randomScale: true }));
+    for (const sample of samples) {
+        assert.ok(sample.x >= 0 && sample.x < WIDTH, `x ${sample.x} is off the canvas`);
+        assert.ok(sample.y >= 0 && sample.y < HEIGHT, `y ${sample.y} is off the canvas`);
+    }
+});
+
+test('keeps whole items on the canvas in unique mode', () => {
+    const samples = ScattrLayout.generateLayout(createOptions({ uniqueOnly: true }));
+    assert.strictEqual(samples.length, 3);
+    assert.strictEqual(new Set(samples.map(sample => sample.asset.image)).size, 3);
+    for (const sample of samples) {
+        assert.ok(sample.x - sample.radius >= 0 && sample.x + sample.radius <= WIDTH);
+        assert.ok(sample.y - sample.radius >= 0 && sample.y + sample.radius <= HEIGHT);
+    }
+    assertNoOverlaps(samples, 20);
+});
+
+test('keeps rotated outlines apart in shape-aware mode', () => {
+    const samples = ScattrLayout.generateLayout(createOptions({
+        shapeAware: true,
+        randomRotation: true,
+        rotationRange: { min: -Math.PI, max: Math.PI }
+    }));
+    assert.ok(samples.length > 10);
+    assert.ok(samples.every(sample => sample.polygon), 'shape-aware items carry their outline');
+    assertNoOverlaps(samples, 20);
+});
+
+test('keeps spacing across the edges of tileable layouts', () => {
+    const samples = ScattrLayout.generateLayout(createOptions({ tileable: true }));
+    assert.ok(samples.length > 10);
+    assertNoOverlaps(samples, 20, { width: WIDTH, height: HEIGHT });
+});
+
+test('recreates the same layout from the same seed', () => {
+    const positions = (samples) => samples.map(sample => [sample.x, sample.y, sample.asset.image, sample.rotation]);
+    const options = createOptions({ randomRotation: true });
+    assert.deepStrictEqual(positions(ScattrLayout.generateLayout(options)), positions(ScattrLayout.generateLayout(options)));
+    assert.notDeepStrictEqual(
+        positions(ScattrLayout.generateLayout(options)),
+        positions(ScattrLayout.generateLayout({ ...options, seed: 4321 }))
+    );
+});
+
+test('rolls a palette tone for every item', () => {
+    const samples = ScattrLayout.generateLayout(createOptions());
+    assert.ok(samples.every(sample => sample.tone >= 0 && sample.tone < 1));
+    assert.ok(new Set(samples.map(sample => sample.tone)).size > 1, 'tones vary between items');
+    assert.deepStrictEqual(
+        ScattrLayout.generateLayout(createOptions()).map(sample => sample.tone),
+        samples.map(sample => sample.tone)
+    );
+});
+
+test('rolls opacity within the random range', () => {
+    const positions = (samples) => samples.map(sample => [sample.x, sample.y]);
+    const opaque = ScattrLayout.generateLayout(createOptions());
+    const samples = ScattrLayout.generateLayout(createOptions({ randomOpacity: true, opacityRange: { min: 0.2, max: 0.6 } }));
+    assert.ok(opaque.every(sample => sample.opacity === 1));
+    assert.ok(samples.every(sample => sample.opacity >= 0.2 && sample.opacity <= 0.6));
+    // Opacity doesn't change footprints, so positions stay put
+    assert.deepStrictEqual(positions(samples), positions(opaque));
+});
+
+test('honours per-asset count limits', () => {
+    const options = createOptions();
+    options.assets[0].settings = { minCount: 1, maxCount: 1 };
+    options.assets[1].settings = { maxCount: 0 };
+    const samples = ScattrLayout.generateLayout(options);
+    const countOf = (image) => samples.filter(sample => sample.asset.image === image).length;
+    assert.strictEqual(countOf('square'), 1);
+    assert.strictEqual(countOf('wide'), 0);
+    assert.strictEqual(countOf('tall'), samples.length - 1);
+});
+
+test('only places items where the mask allows', () => {
+    // Left half blocked, right half allowed
+    const mask = { width: 2, height: 1, allowed: new Uint8Array([0, 1]) };
+    const samples = ScattrLayout.generateLayout(createOptions({ mask }));
+    assert.ok(samples.length > 0);
+    for (const sample of samples) {
+        assert.ok(sample.x >= WIDTH / 2, `item at x ${sample.x} is in the blocked half`);
+    }
+});
+
+test('keeps items off blocked spots smaller than an item', () => {
+    // 10px cells, with a single blocked cell every 100px
+    const mask = { width: 80, height: 60, allowed: new Uint8Array(80 * 60).fill(1) };
+    const spots = [];
+    for (let y = 5; y < 60; y += 10) {
+        for (let x = 5; x < 80; x += 10) {
+            mask.allowed[y * 80 + x] = 0;
+            spots.push({ x: x * 10 + 5, y: y * 10 + 5 });
+        }
+    }
+    const samples = ScattrLayout.generateLayout(createOptions({ mask, spacing: 5 }));
+    assert.ok(samples.length > 0);
+    for (const sample of samples) {
+        const halfWidth = sample.asset.baseWidth / 2;
+        const halfHeight = sample.asset.baseHeight / 2;
+        for (const spot of spots) {
+            const covered = Math.abs(spot.x - sample.x) < halfWidth && Math.abs(spot.y - sample.y) < halfHeight;
+            assert.strictEqual(covered, false, `item at ${sample.x}, ${sample.y} covers the blocked spot at ${spot.x}, ${spot.y}`);
+        }
+    }
+});
+
+test('keeps fixed items and only fills the added area', () => {
+    const options = createOptions();
+    const first = ScattrLayout.generateLayout(options);
+    // Fixed items refer to their asset by index
+    const images = options.assets.map(asset => asset.image);
+    const fixed = first.map(sample => ({ ...sample, asset: images.indexOf(sample.asset.image) }));
+    const samples = ScattrLayout.generateLayout(createOptions({
+        width: WIDTH + 400,
+        numItems: first.length + 40,
+        fixed,
+        keepArea: { width: WIDTH, height: HEIGHT }
+    }));
+    assert.deepStrictEqual(samples.slice(0, first.length).map(sample => [sample.x, sample.y]), first.map(sample => [sample.x, sample.y]));
+    const added = samples.slice(first.length);
+    assert.ok(added.length > 0, 'the added area gets new items');
+    assert.ok(added.every(sample => sample.x >= WIDTH), 'new items stay out of the kept area');
+    assertNoOverlaps(samples, 20);
+});
+
+test('keeps new items clear of oversized fixed items', () => {
+    // Items resized by hand can be far bigger than any rolled scale
+    const fixed = [{ asset: 0, x: WIDTH / 2, y: HEIGHT / 2, rotation: 0, scale: 4, tone: 0, opacity: 1 }];
+    for (const uniqueOnly of [false, true]) {
+        const samples = ScattrLayout.generateLayout(createOptions({ fixed, uniqueOnly }));
+        assert.strictEqual(samples[0].scale, 4);
+        assert.ok(samples.length > 1, 'other items are placed around it');
+        assertNoOverlaps(samples, 20);
+    }
+});
+
+test('sizes spacing for scale ranges entered backwards', () => {
+    const samples = ScattrLayout.generateLayout(createOptions({ randomScale: true, scaleRange: { min: 2, max: 0.5 } }));
+    assertNoOverlaps(samples, 20);
+});
+
+test('returns an empty layout without assets', () => {
+    assert.deepStrictEqual(ScattrLayout.generateLayout(createOptions({ assets: [] })), []);
+});